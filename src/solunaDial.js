@@ -1,4 +1,16 @@
 import { SolunaDialSettings } from './solunaDialSettings.js';
+import { SolunaDialWeather } from './solunaDialWeather.js';
+import { SolunaDialSceneEffects } from './solunaDialSceneEffects.js';
+import { SolunaDialDarkness } from './solunaDialDarkness.js';
+import { SolunaDialEvents } from './solunaDialEvents.js';
+import { SolunaDialTimeControls } from './solunaDialTimeControls.js';
+import { SolunaDialClock } from './solunaDialClock.js';
+import { SolunaDialCombat } from './solunaDialCombat.js';
+import { SolunaDialThemes } from './solunaDialThemes.js';
+import { SolunaDialFormat } from './solunaDialFormat.js';
+import { SolunaDialCalendar } from './solunaDialCalendar.js';
+import { SolunaDialSky } from './solunaDialSky.js';
+import { SolunaDialWeatherEffects } from './solunaDialWeatherEffects.js';
 
 /**
  * Main class for the Soluna Dial module.
@@ -26,6 +38,13 @@ class SolunaDial {
     this.BASE_BUTTON_PADDING = 5;
     this.BASE_MARKER_SIZE = 10;
     this.BASE_WEATHER_TEXT_PADDING_TOP = 5;
+    this.BASE_MOON_SIZE = 7;
+    this.MOON_ORBIT_RATIO = 0.8; // Fraction of DIAL_RADIUS at which moons travel
+    this.BASE_EVENT_PIN_SIZE = 4;
+    this.BASE_SUN_SIZE = 8;
+    this.BASE_STAR_SIZE = 1;
+    this.STAR_COUNT = 60;
+    this.SKY_BANDS = 12; // Rings blending the sky from the rim to the darker middle of the dial
     // Note: DIAL_RADIUS is derived, so its base components (MAIN_HUD_AREA_HEIGHT, PADDING) will scale.
 
     // --- Working (Scaled) Dimensions and Values --- 
@@ -49,6 +68,8 @@ class SolunaDial {
     this.DIAL_ARC_CENTER_Y = 0;
     this.MARKER_SIZE = 0;
     this.weatherTextPaddingTop = 0;
+    this.MOON_SIZE = 0;
+    this.EVENT_PIN_SIZE = 0;
 
     // Other properties
     this._pixiApp = null;
@@ -58,14 +79,19 @@ class SolunaDial {
     this._timeCalendarSeparator = null;
     this._calendarText = null;
     this._timeBarGraphic = null;
-    this._mainHudAreaGraphic = null;
-    this._radialDialBackground = null;
     this._dialMarker = null;
+    this._dialInteractiveArea = null;
+    this._timeAdvanceContainer = null;
     this._weatherText = null;
+    this._moonContainer = null;
+    this._eventPinContainer = null;
+    this._eventPinCache = null; // Today's calendar notes, {dayIndex, notes}
+    this._showEventPins = true;
 
     this.DEFAULT_FONT_FAMILY = 'Signika'; // Base font family, does not scale
     this.MARKER_COLOR = 0xFFFFFF;       // Base color, does not scale
-    this._currentWeather = 'CLEAR';
+    this._currentWeather = SolunaDialWeather.normalizeState('clear'); // Structured weather state, see SolunaDialWeather.createState
+    this._temperatureUnit = 'C';        // 'C' or 'F', display only; states are stored in °C
     this._topBarOpacity = 0.7;          // Opacity, does not scale with UI size
     this._dialImageOpacity = 1.0;       // Opacity
     this._dialMarkerColor = this.MARKER_COLOR; // Can be changed by setting, not scaled here
@@ -74,26 +100,38 @@ class SolunaDial {
     this._globalUiScale = 1.0;          // Initial scale
     this._globalFontOpacity = 1.0;      // Initial font opacity
     this._displaySeconds = false;       // Whether to display seconds in the time
-
-    this.ICON_REWIND_HOUR = '\uf04b';
-    this.ICON_REWIND_DAY = '\uf049';
-    this.ICON_ADVANCE_HOUR = '\uf04b';
-    this.ICON_ADVANCE_DAY = '\uf050';
-
-    this._rewindHourButton = null;
-    this._rewindDayButton = null;
-    this._advanceHourButton = null;
-    this._advanceDayButton = null;
+    this._timeFormat = SolunaDialFormat.DEFAULT_TIME_FORMAT; // Time template, see SolunaDialFormat
+    this._dateFormat = SolunaDialFormat.DEFAULT_DATE_FORMAT; // Date template, see SolunaDialFormat
+
+    this._timeAdvanceButtons = []; // Built from the timeAdvanceControls setting
+    this._clockButton = null;        // GM play/pause control of the real-time clock
+    this._hudAnchor = 'top-center';  // An anchor preset, or 'custom' for a dragged position
+    this._hudDrag = null;            // State of a drag in progress
+    this._compactMode = false;       // Only the time bar is shown, with the weather as an inline icon
+    this._weatherIcon = null;
+    this._weatherDisplayEnabled = true;
+    this._theme = SolunaDialThemes.getActiveTheme(); // Colors, fonts, strokes and shadows of the world's theme
 
     this._dialGradientTexture = null;
     this._dialGradientSprite = null;
     this._dialMask = null;
     this._dialGradientContainer = null;
+    this._dialStyle = 'image';        // 'image' draws the dial image, 'sky' the procedural sky
+    this._sky = null;                 // The procedural sky's PIXI objects and colors, see _createSky
+    this._weatherEffects = null;      // Weather drawn inside the dial, see SolunaDialWeatherEffects
+    this._weatherEffectsLevel = 'full'; // 'full', 'performance' or 'off'
+    this._reducedMotion = false;      // Draw the weather effects still
+
+    // Rendering on demand, see _requestRender
+    this._layers = null;              // Containers that fix the drawing order, see _createScene
+    this._dirty = new Set();          // Parts of the scene to rebuild before the next frame, see _invalidate
+    this._frameRequest = null;        // Pending animation frame
+    this._lastFrameTime = null;       // Time of the last animated frame, for the weather effects
+
+    // Last seen calendar day and period of the day, for the dayChanged and periodChanged hooks
+    this._lastDayIndex = null;
+    this._lastPeriod = null;
 
-    this.GRADIENT_DEEP_BLUE = '#000030';
-    this.GRADIENT_PINK = '#FF6AD5';
-    this.GRADIENT_ORANGE = '#FF9900';
-    
     this.SUNRISE_HOUR = 6;
     this.SUNSET_HOUR = 18;
     this.DAY_COLOR = 0xFF8C00;
@@ -105,10 +143,12 @@ class SolunaDial {
     // Initialize PIXI app after dimensions are calculated
     this._initPIXIApp();
 
-    // Draw all elements
-    this._redrawAllElements();
+    // Build the scene once; changes update it in place
+    this._createScene();
 
     // Initial data updates
+    this._lastDayIndex = Math.floor(game.time.worldTime / this._getTimeConfig().secondsPerDay);
+    this._lastPeriod = this.getTimeOfDay().period;
     this.updateTimeDisplay();
     this.updateCalendarDisplay();
     this._updateDialRotation();
@@ -121,35 +161,80 @@ class SolunaDial {
         this._loadWeatherFromFlag();
       });
     }
-    
-    // Ensure weather text is on top after initial setup
-    setTimeout(() => {
-      this._ensureWeatherTextOnTop();
-    }, 100);
 
     // Hooks
     Hooks.on('updateWorldTime', (worldTime, dt) => {
       this.updateTimeDisplay();
       this.updateCalendarDisplay();
       this._updateDialRotation();
+      this._updateMoons();
+      this._updateEventPins();
+      this._announcePassedEvents(worldTime, dt);
+      this._onDayChange(worldTime, dt);
+      this._syncSceneDarkness();
+      this._emitTimeHooks(worldTime, dt);
     });
 
-    if (game.modules.get('foundryvtt-simple-calendar')?.active && typeof SimpleCalendar !== 'undefined' && SimpleCalendar.api) {
-      Hooks.on('SimpleCalendar.DateTimeChange', (data) => {
-        console.log(`${this._moduleId} | SimpleCalendar.DateTimeChange hook fired.`, data);
+    // Calendars can change the date without world time changing, e.g. when the calendar is edited
+    for (const hook of SolunaDialCalendar.getDateChangeHooks()) {
+      Hooks.on(hook, () => {
         this.updateCalendarDisplay();
         this._updateDialRotation();
+        this._updateMoons();
+        this._updateEventPins();
+      });
+    }
+
+    // The real-time clock is held by a paused game or a running combat, and moves to another GM if its owner leaves
+    for (const hook of ['pauseGame', 'combatStart', 'updateCombat', 'deleteCombat']) {
+      Hooks.on(hook, () => this._updateClockButton());
+    }
+    Hooks.on('userConnected', () => SolunaDialClock.refresh());
+    SolunaDialClock.refresh();
+
+    // During combat the time bar shows the round and the combat's elapsed time
+    Hooks.on('combatStart', (combat) => {
+      SolunaDialCombat.onCombatStart(combat);
+      this.updateTimeDisplay();
+    });
+    Hooks.on('updateCombat', (combat, changes, options) => {
+      SolunaDialCombat.onUpdateCombat(combat, changes, options);
+      this.updateTimeDisplay();
+    });
+    Hooks.on('deleteCombat', (combat) => {
+      SolunaDialCombat.onDeleteCombat(combat, this._getTimeConfig());
+      this.updateTimeDisplay();
+    });
+
+    // Calendar notes are journal entries; reread today's notes whenever one changes
+    for (const hook of ['createJournalEntry', 'updateJournalEntry', 'deleteJournalEntry']) {
+      Hooks.on(hook, () => {
+        this._eventPinCache = null;
+        this._updateEventPins();
       });
     }
 
+    // Each client shows the weather of the scene it is viewing
+    Hooks.on('canvasReady', () => {
+      // A freshly drawn scene gets its FXMaster effects sent again
+      SolunaDialSceneEffects.forgetApplied();
+      this._refreshSceneWeather();
+    });
+    Hooks.on('deleteScene', (scene) => SolunaDialSceneEffects.forgetApplied(scene.id));
+    Hooks.on('updateScene', (scene, changes) => {
+      if (scene.id === canvas?.scene?.id && foundry.utils.hasProperty(changes, `flags.${this._moduleId}`)) {
+        this._refreshSceneWeather();
+      }
+      // A newly activated scene, or one that opted back in, picks up the current darkness
+      if (changes.active || foundry.utils.hasProperty(changes, `flags.${this._moduleId}.ignoreDarkness`)) {
+        this._syncSceneDarkness();
+      }
+    });
+
     // Socket communication for real-time weather updates
     game.socket.on(`module.${this._moduleId}`, (data) => {
-      if (data.type === 'weather-update' && data.userId !== game.user.id) {
-        console.log(`${this._moduleId} | Received weather update via socket:`, data.weather);
-        this._currentWeather = data.weather;
+      if (data.type === 'weather-update' && data.userId !== game.user.id && this._isViewedWeatherTarget(data.target ?? 'world')) {
         this.updateWeatherDisplay(data.weather);
-        // Ensure weather text is on top after update
-        this._ensureWeatherTextOnTop();
       }
     });
   }
@@ -178,74 +263,210 @@ class SolunaDial {
 
     this.MARKER_SIZE = Math.max(5, Math.round(this.BASE_MARKER_SIZE * scale));
     this.weatherTextPaddingTop = Math.round(this.BASE_WEATHER_TEXT_PADDING_TOP * scale);
-    console.log(`${this._moduleId} | Calculated scaled dimensions with scale ${scale}. HUD_WIDTH: ${this.HUD_WIDTH}, TIME_BAR_HEIGHT: ${this.TIME_BAR_HEIGHT}`);
+    this.MOON_SIZE = Math.max(3, Math.round(this.BASE_MOON_SIZE * scale));
+    this.EVENT_PIN_SIZE = Math.max(2, Math.round(this.BASE_EVENT_PIN_SIZE * scale));
+    this.SUN_SIZE = Math.max(3, this.BASE_SUN_SIZE * scale);
+    this.STAR_SIZE = Math.max(0.5, this.BASE_STAR_SIZE * scale);
   }
 
-  _redrawAllElements() {
-    // Clear the main container before redrawing (optional, as draw methods often handle their own clearing/destroying)
-    // if (this._mainContainer) this._mainContainer.removeChildren(); 
+  /**
+   * Creates the layers of the scene and the elements that live as long as the HUD. Each element is
+   * only ever added to its own layer, so the drawing order stays fixed however often parts are rebuilt:
+   * the time bar and dial marker at the back, then the time bar's text and buttons, the dial, the
+   * GM's weather area, the moons and event pins, and the weather text in front.
+   */
+  _createScene() {
+    this._layers = {};
+    for (const name of ['background', 'timeBar', 'dial', 'interaction', 'bodies', 'labels']) {
+      this._layers[name] = this._mainContainer.addChild(new PIXI.Container());
+    }
+
+    this._timeBarGraphic = new PIXI.Graphics();
+    // The time bar is the handle for dragging the HUD
+    this._timeBarGraphic.interactive = true;
+    this._timeBarGraphic.cursor = 'grab';
+    this._timeBarGraphic.on('pointerdown', (event) => this._startHudDrag(event));
+    // Double-clicking it switches between compact and full mode
+    this._timeBarGraphic.on('pointertap', (event) => {
+      if (event?.detail === 2) game.settings.set(this._moduleId, 'compactMode', !this._compactMode);
+    });
+    this._dialMarker = new PIXI.Graphics();
+    this._layers.background.addChild(this._timeBarGraphic, this._dialMarker);
+
+    this._createTimeCalendarGroup();
+    this._timeAdvanceContainer = this._layers.timeBar.addChild(new PIXI.Container());
 
-    // Clean up interactive area if it exists
-    if (this._dialInteractiveArea) {
-      this._dialInteractiveArea.destroy();
-      this._dialInteractiveArea = null;
+    // An invisible area over the dial for GM weather changes
+    if (game.user.isGM) {
+      this._dialInteractiveArea = new PIXI.Graphics();
+      this._dialInteractiveArea.interactive = true;
+      this._dialInteractiveArea.on('rightclick', (event) => {
+        event.stopPropagation();
+        this._showWeatherChangeDialog();
+      });
+      this._layers.interaction.addChild(this._dialInteractiveArea);
     }
 
-    // Graphics objects need to be redrawn as their sizes/positions depend on scaled dimensions
-    this._drawTimeBar();
-    this._drawMainHudArea(); // Mostly for positioning logic if it had content
-    this._drawRadialDialBackground();
-    this._drawDialMarker();
+    // Above the interactive area so moon and pin tooltips receive pointer events
+    this._moonContainer = new PIXI.Container();
+    this._eventPinContainer = new PIXI.Container();
+    this._eventPinContainer.visible = this._showEventPins;
+    this._layers.bodies.addChild(this._moonContainer, this._eventPinContainer);
 
-    // Text objects and complex sprites with masks need full recreation or careful updates
-    // The current _draw... methods for these handle destruction and recreation
-    this._drawTimeAndCalendarGroup();
-    this._drawTimeAdvanceControls();
-    this._createDialGradientAndMask(); // This recreates sprite and mask
-    this._drawWeatherText(); // Draw weather text AFTER dial image to ensure it's on top
-    this._createDialInteractiveArea(); // Create interactive area for GM weather changes
+    this._weatherText = new PIXI.Text(SolunaDialWeather.formatState(this._currentWeather, this._temperatureUnit));
+    this._weatherText.anchor.set(0.5, 0.5);
+    this._weatherText.alpha = this._globalFontOpacity;
+    this._weatherText.visible = this._weatherDisplayEnabled;
+    this._layers.labels.addChild(this._weatherText);
 
-    // Ensure weather text is always on top (highest z-index) after all elements are drawn
-    this._ensureWeatherTextOnTop();
+    this._invalidate('layout');
+  }
 
-    console.log(`${this._moduleId} | All elements redrawn.`);
-    
-    // Final check to ensure weather text is on top
-    setTimeout(() => {
-      this._ensureWeatherTextOnTop();
-    }, 50);
+  /**
+   * Marks parts of the scene to rebuild before the next frame and asks for that frame. Several changes
+   * in a row, such as the settings applied on ready, rebuild each part once.
+   * @param {...string} parts - 'layout' for everything sized by the UI size, 'styles' for the theme and
+   *   fonts, 'controls' for the time advance buttons, 'dial' for the dial image or sky.
+   */
+  _invalidate(...parts) {
+    parts.forEach(part => this._dirty.add(part));
+    this._requestRender();
+  }
+
+  /**
+   * Rebuilds the parts of the scene marked by _invalidate.
+   */
+  _rebuildDirty() {
+    const dirty = this._dirty;
+    this._dirty = new Set();
+    const layout = dirty.has('layout');
+    const styles = layout || dirty.has('styles');
+    if (layout) {
+      this._drawDialMarker();
+      this._drawDialInteractiveArea();
+      this._moonContainer.position.set(this.DIAL_CENTER_X, this.DIAL_ARC_CENTER_Y);
+      this._eventPinContainer.position.set(this.DIAL_CENTER_X, this.DIAL_ARC_CENTER_Y);
+    }
+    if (styles) {
+      this._drawTimeBar();
+      this._styleTimeCalendarGroup();
+      this._styleWeatherText();
+      this._updateMoons();
+      this._updateEventPins();
+    }
+    if (styles || dirty.has('controls')) this._drawTimeAdvanceControls();
+    if (layout || dirty.has('dial')) {
+      this._createDialGradientAndMask();
+      this._updateDialRotation();
+    }
+  }
+
+  /**
+   * Asks for the scene to be drawn on the next animation frame. However many changes ask for it, the
+   * scene is drawn once per frame, and not at all while nothing changes.
+   */
+  _requestRender() {
+    if (this._frameRequest !== null || !this._pixiApp) return;
+    this._frameRequest = requestAnimationFrame(time => this._renderFrame(time));
+  }
+
+  /**
+   * Rebuilds what changed and draws the scene. Animated weather effects keep asking for frames while
+   * the dial is on screen.
+   * @param {DOMHighResTimeStamp} time - The frame's timestamp.
+   */
+  _renderFrame(time) {
+    // Changes made while rebuilding are drawn in this frame rather than asking for another
+    if (this._dirty.size > 0) this._rebuildDirty();
+    const animate = !!this._weatherEffects?.isAnimated && this._isDialShown();
+    if (animate) {
+      // The first frame after a pause moves nothing
+      this._weatherEffects.update(this._lastFrameTime === null ? 0 : time - this._lastFrameTime);
+      this._lastFrameTime = time;
+    } else {
+      this._lastFrameTime = null;
+    }
+    this._pixiApp.render();
+    this._frameRequest = null;
+    if (animate) this._requestRender();
+  }
+
+  /**
+   * Whether the dial is on screen: the HUD is shown and not in compact mode.
+   * @returns {boolean}
+   */
+  _isDialShown() {
+    return !this._compactMode && !this._pixiApp.view.classList.contains('soluna-dial-hidden');
   }
 
   _initPIXIApp() {
     if (this._pixiApp) { // If resizing an existing app
-        this._pixiApp.renderer.resize(this.HUD_WIDTH, this.TOTAL_HUD_HEIGHT);
+        this._pixiApp.renderer.resize(this.HUD_WIDTH, this._getHudHeight());
     } else {
     this._pixiApp = new PIXI.Application({
             width: this.HUD_WIDTH, // Use scaled width
-            height: this.TOTAL_HUD_HEIGHT, // Use scaled height
+            height: this._getHudHeight(), // Use scaled height
       backgroundColor: 0x000000,
       backgroundAlpha: 0,
       resolution: window.devicePixelRatio || 1,
       autoDensity: true,
       antialias: true,
+      autoStart: false, // Frames are drawn on demand, see _requestRender
     });
     this._pixiApp.view.id = 'soluna-dial-canvas';
-    this._pixiApp.view.classList.add('soluna-dial-canvas-positioned'); // Added class for CSS positioning
     document.body.appendChild(this._pixiApp.view);
+    // Keep a dragged HUD on screen when the window shrinks
+    window.addEventListener('resize', () => this._applyHudPosition());
     this._mainContainer = new PIXI.Container();
     this._pixiApp.stage.addChild(this._mainContainer);
     }
-    console.log(`${this._moduleId} | PIXI Application initialized/resized. W: ${this.HUD_WIDTH}, H: ${this.TOTAL_HUD_HEIGHT}`);
   }
 
-  _drawTimeBar() {
-    if (!this._mainContainer) return;
-    if (this._timeBarGraphic) this._timeBarGraphic.clear();
-    else {
-      this._timeBarGraphic = new PIXI.Graphics();
-      this._mainContainer.addChild(this._timeBarGraphic);
+  /**
+   * Returns the height of the HUD canvas: the time bar alone in compact mode, otherwise the whole HUD.
+   * @returns {number}
+   */
+  _getHudHeight() {
+    return this._compactMode ? this.TIME_BAR_HEIGHT : this.TOTAL_HUD_HEIGHT;
+  }
+
+  /**
+   * Builds a text style from the active theme.
+   * @param {string} kind - 'text' for the time bar, 'weather' for the weather text, 'icon' for Font Awesome glyphs.
+   * @param {number} fontSize - The scaled font size.
+   * @param {object} [overrides] - Further PIXI.TextStyle options.
+   * @returns {PIXI.TextStyle}
+   */
+  _getTextStyle(kind, fontSize, overrides = {}) {
+    const theme = this._theme;
+    if (kind === 'icon') {
+      return new PIXI.TextStyle({ fontFamily: theme.iconFontFamily, fontSize, fill: theme.icons.color, ...overrides });
+    }
+    const part = kind === 'weather' ? theme.weather : theme.text;
+    const style = {
+      fontFamily: theme.fontFamily || this._globalFontFamily,
+      fontSize,
+      fill: part.color,
+      fontWeight: part.fontWeight || 'normal',
+      stroke: part.stroke,
+      strokeThickness: Number(part.strokeThickness) || 0
+    };
+    if (part.shadow) {
+      Object.assign(style, {
+        dropShadow: true,
+        dropShadowColor: part.shadow.color,
+        dropShadowBlur: Number(part.shadow.blur) || 0,
+        dropShadowAngle: (Number(part.shadow.angle) || 0) * Math.PI / 180,
+        dropShadowDistance: Number(part.shadow.distance) || 0
+      });
     }
-    this._timeBarGraphic.beginFill(0x101010, this._topBarOpacity);
+    return new PIXI.TextStyle({ ...style, ...overrides });
+  }
+
+  _drawTimeBar() {
+    if (!this._timeBarGraphic) return;
+    this._timeBarGraphic.clear();
+    this._timeBarGraphic.beginFill(SolunaDialThemes.toHex(this._theme.timeBar.background, 0x101010), this._topBarOpacity);
     this._timeBarGraphic.moveTo(0, 0);
     this._timeBarGraphic.lineTo(this.HUD_WIDTH, 0);
     this._timeBarGraphic.lineTo(this.HUD_WIDTH, this.TIME_BAR_HEIGHT - this.CORNER_RADIUS);
@@ -254,69 +475,73 @@ class SolunaDial {
     this._timeBarGraphic.arcTo(0, this.TIME_BAR_HEIGHT, 0, this.TIME_BAR_HEIGHT - this.CORNER_RADIUS, this.CORNER_RADIUS);
     this._timeBarGraphic.closePath();
     this._timeBarGraphic.endFill();
-    // console.log(`${this._moduleId} | Time bar drawn. Height: ${this.TIME_BAR_HEIGHT}px.`);
+    this._requestRender();
   }
 
-  _drawMainHudArea() {
-    if (!this._mainContainer) return;
-    if (this._mainHudAreaGraphic) this._mainHudAreaGraphic.clear();
-    else {
-      this._mainHudAreaGraphic = new PIXI.Graphics();
-      this._mainContainer.addChild(this._mainHudAreaGraphic);
-    }
-    // console.log(`${this._moduleId} | Main HUD area transparent container drawn.`);
-  }
-
-  _drawTimeAndCalendarGroup() {
-    if (!this._mainContainer) return;
-    if (this._timeCalendarContainer) {
-        this._timeCalendarContainer.destroy({ children: true });
-        this._timeCalendarContainer = null;
-        this._timeText = null;
-        this._timeCalendarSeparator = null;
-        this._calendarText = null;
-    }
+  /**
+   * Creates the clock button, time, date and weather icon of the time bar. Their styles and
+   * positions are applied by _styleTimeCalendarGroup.
+   */
+  _createTimeCalendarGroup() {
     this._timeCalendarContainer = new PIXI.Container();
-    this._mainContainer.addChild(this._timeCalendarContainer);
+    this._layers.timeBar.addChild(this._timeCalendarContainer);
 
-    const commonTextStyle = {
-        fontFamily: this._globalFontFamily,
-        fill: 'white',
-        align: 'left',
-        alpha: this._globalFontOpacity
-    };
-
-    const timeStyle = new PIXI.TextStyle({...commonTextStyle, fontSize: this.primaryFontSize});
-    const calendarStyle = new PIXI.TextStyle({...commonTextStyle, fontSize: this.calendarFontSize});
+    // Play/pause of the real-time clock, in front of the time for GMs
+    if (game.user.isGM) {
+      this._clockButton = new PIXI.Text('');
+      this._clockButton.anchor.set(0, 0.5);
+      this._clockButton.y = 0;
+      this._clockButton.interactive = true;
+      this._clockButton.buttonMode = true;
+      this._clockButton.on('pointertap', () => this.setClockRunning(!this.isClockRunning()));
+      this._clockButton.on('pointerover', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = this._clockButton.tooltipText; });
+      this._clockButton.on('pointerout', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = ''; });
+      this._timeCalendarContainer.addChild(this._clockButton);
+      this._updateClockButton();
+    }
 
-    this._timeText = new PIXI.Text("HH:MM", timeStyle);
+    this._timeText = new PIXI.Text("HH:MM");
     this._timeText.anchor.set(0, 0.5);
     this._timeText.y = 0;
     this._timeText.alpha = this._globalFontOpacity; // Apply global font opacity
     this._timeCalendarContainer.addChild(this._timeText);
 
-    // Use primaryFontSize for separator for consistency with time part
-    this._timeCalendarSeparator = new PIXI.Text(" - ", new PIXI.TextStyle({
-        fontFamily: this._globalFontFamily, 
-        fontSize: this.primaryFontSize, 
-        fill: 'white', 
-        align: 'left'
-    }));
+    this._timeCalendarSeparator = new PIXI.Text(" - ");
     this._timeCalendarSeparator.anchor.set(0, 0.5);
     this._timeCalendarSeparator.y = 0;
     this._timeCalendarSeparator.alpha = this._globalFontOpacity; // Apply global font opacity
     this._timeCalendarContainer.addChild(this._timeCalendarSeparator);
 
-    this._calendarText = new PIXI.Text("Calendar Loading...", calendarStyle);
+    this._calendarText = new PIXI.Text(game.i18n.localize('soluna-dial.calendar.loading'));
     this._calendarText.anchor.set(0, 0.5);
     this._calendarText.y = 0;
     this._calendarText.alpha = this._globalFontOpacity; // Apply global font opacity
     this._timeCalendarContainer.addChild(this._calendarText);
-    
+
+    // Stands in for the weather text in compact mode
+    this._weatherIcon = new PIXI.Text('');
+    this._weatherIcon.anchor.set(0, 0.5);
+    this._weatherIcon.y = 0;
+    this._weatherIcon.interactive = true;
+    this._weatherIcon.on('pointerover', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = this._weatherIcon.tooltipText; });
+    this._weatherIcon.on('pointerout', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = ''; });
+    this._timeCalendarContainer.addChild(this._weatherIcon);
+    this._updateWeatherIcon();
+  }
+
+  /**
+   * Applies the theme, font and UI size to the time bar's text, then centers it again.
+   */
+  _styleTimeCalendarGroup() {
+    const iconStyle = this._getTextStyle('icon', Math.round(this.iconFontSize * 0.8));
+    if (this._clockButton) this._clockButton.style = iconStyle;
+    this._timeText.style = this._getTextStyle('text', this.primaryFontSize, { align: 'left' });
+    // Use primaryFontSize for separator for consistency with time part
+    this._timeCalendarSeparator.style = this._timeText.style;
+    this._calendarText.style = this._getTextStyle('text', this.calendarFontSize, { align: 'left' });
+    this._weatherIcon.style = iconStyle;
     this._timeCalendarContainer.y = this.TIME_BAR_HEIGHT / 2;
-    this._repositionElementsInTimeCalendarGroup();
     this._centerTimeCalendarGroup();
-    // console.log(`${this._moduleId} | Time and Calendar group drawn.`);
   }
 
   _repositionElementsInTimeCalendarGroup() {
@@ -324,9 +549,17 @@ class SolunaDial {
     this._timeText.updateText(true);
     this._timeCalendarSeparator.updateText(true);
     this._calendarText.updateText(true);
-    this._timeText.x = 0;
-    this._timeCalendarSeparator.x = this._timeText.width;
-    this._calendarText.x = this._timeText.width + this._timeCalendarSeparator.width;
+    let x = 0;
+    if (this._clockButton) {
+      this._clockButton.x = 0;
+      x = this._clockButton.width + this.BUTTON_PADDING;
+    }
+    this._timeText.x = x;
+    this._timeCalendarSeparator.x = x + this._timeText.width;
+    this._calendarText.x = x + this._timeText.width + this._timeCalendarSeparator.width;
+    if (this._weatherIcon) {
+      this._weatherIcon.x = this._calendarText.x + (this._calendarText.visible ? this._calendarText.width : 0) + this.BUTTON_PADDING * 2;
+    }
   }
 
   _centerTimeCalendarGroup() {
@@ -334,133 +567,123 @@ class SolunaDial {
     // Ensure children are up-to-date for bounds calculation
     this._repositionElementsInTimeCalendarGroup(); 
     this._timeCalendarContainer.x = (this.HUD_WIDTH - this._timeCalendarContainer.getBounds(false).width) / 2;
+    this._requestRender();
+  }
+
+  /**
+   * Updates the inline weather icon, which is only shown in compact mode.
+   */
+  _updateWeatherIcon() {
+    if (!this._weatherIcon) return;
+    this._weatherIcon.text = SolunaDialWeather.getConditionIcon(this._currentWeather?.condition);
+    this._weatherIcon.tooltipText = SolunaDialWeather.describeState(this._currentWeather, this._temperatureUnit);
+    this._weatherIcon.alpha = this._globalFontOpacity;
+    this._weatherIcon.visible = this._compactMode && this._weatherDisplayEnabled;
   }
 
+  /**
+   * Shows whether the real-time clock runs. A running clock that is held by a paused game or a
+   * combat is dimmed.
+   */
+  _updateClockButton() {
+    if (!this._clockButton) return;
+    const running = this.isClockRunning();
+    const heldBy = running ? SolunaDialClock.getHoldReason() : null;
+    this._clockButton.text = running ? '\uf04c' : '\uf04b';
+    this._clockButton.alpha = this._globalFontOpacity * (heldBy ? 0.4 : 1);
+    const ratio = game.settings.get(this._moduleId, 'realtimeClockRatio');
+    if (!running) {
+      this._clockButton.tooltipText = game.i18n.format('soluna-dial.clock.start', { ratio });
+    } else if (heldBy) {
+      this._clockButton.tooltipText = game.i18n.localize(heldBy === 'combat' ? 'soluna-dial.clock.heldByCombat' : 'soluna-dial.clock.heldByPause');
+    } else {
+      this._clockButton.tooltipText = game.i18n.localize('soluna-dial.clock.pause');
+    }
+    this._requestRender();
+  }
+
+  /**
+   * Draws the GM time-advance buttons configured in the timeAdvanceControls setting.
+   * Rewind buttons are laid out from the left edge and advance buttons from the right edge; when a side
+   * holds more buttons than fit beside the time and date, its buttons are shrunk to fit.
+   */
   _drawTimeAdvanceControls() {
-    if (!this._mainContainer) return;
+    if (!this._timeAdvanceContainer) return;
     // Destroy old buttons if they exist
-    if (this._rewindHourButton) this._rewindHourButton.destroy();
-    if (this._rewindDayButton) this._rewindDayButton.destroy();
-    if (this._advanceHourButton) this._advanceHourButton.destroy();
-    if (this._advanceDayButton) this._advanceDayButton.destroy();
+    this._timeAdvanceButtons.forEach(button => button.destroy());
+    this._timeAdvanceButtons = [];
 
     // Only show buttons for GMs
     if (!game.user.isGM) return;
 
-    const iconStyle = new PIXI.TextStyle({
-      fontFamily: 'Font Awesome 5 Free',
-      fontSize: this.iconFontSize, // Use scaled icon font size
-      fill: '#FFFFFF',
-      align: 'center',
-      alpha: this._globalFontOpacity
+    const iconStyle = this._getTextStyle('icon', this.iconFontSize, { align: 'center' }); // Use scaled icon font size
+    const labelStyle = this._getTextStyle('icon', Math.round(this.iconFontSize * 0.8), {
+      fontFamily: this._theme.fontFamily || this._globalFontFamily,
+      align: 'center'
     });
-    const createButton = (iconChar, tooltipText, clickHandler) => {
-      const button = new PIXI.Text(iconChar, iconStyle.clone());
+    const { buttons, modifiers } = SolunaDialTimeControls.getControls();
+    const createButton = (config) => {
+      const icon = SolunaDialTimeControls.resolveIcon(config.icon);
+      const button = new PIXI.Text(icon.text || '?', (icon.isGlyph ? iconStyle : labelStyle).clone());
       button.anchor.set(0.5);
       button.y = this.TIME_BAR_HEIGHT / 2;
       button.interactive = true;
       button.buttonMode = true;
-      button.on('pointertap', clickHandler);
-      button.on('pointerover', () => { if(this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = tooltipText; });
+      // Increments are converted at click time so calendar configuration changes apply without a redraw
+      button.on('pointertap', (event) => {
+        const multiplier = SolunaDialTimeControls.getMultiplier(event, modifiers);
+        this.advanceTime(config.amount * multiplier, config.unit);
+      });
+      button.on('pointerover', () => { if(this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = config.label; });
       button.on('pointerout', () => { if(this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = ''; });
       button.alpha = this._globalFontOpacity; // Apply global font opacity
-      this._mainContainer.addChild(button);
+      if (config.mirror) button.scale.x = -1;
+      this._timeAdvanceContainer.addChild(button);
+      this._timeAdvanceButtons.push(button);
       return button;
     };
-    this._rewindHourButton = createButton(this.ICON_REWIND_HOUR, "Rewind 1 Hour", () => game.time.advance(-3600));
-    this._rewindHourButton.scale.x = -1;
-    this._rewindHourButton.x = this.PADDING + (this._rewindHourButton.width / 2);
-    this._rewindDayButton = createButton(this.ICON_REWIND_DAY, "Rewind 1 Day", () => game.time.advance(-86400));
-    this._rewindDayButton.x = this._rewindHourButton.x + (this._rewindHourButton.width / 2) + this.BUTTON_PADDING + (this._rewindDayButton.width / 2);
-    this._advanceHourButton = createButton(this.ICON_ADVANCE_HOUR, "Advance 1 Hour", () => game.time.advance(3600));
-    this._advanceHourButton.x = this.HUD_WIDTH - this.PADDING - (this._advanceHourButton.width / 2);
-    this._advanceDayButton = createButton(this.ICON_ADVANCE_DAY, "Advance 1 Day", () => game.time.advance(86400));
-    this._advanceDayButton.x = this._advanceHourButton.x - (this._advanceHourButton.width / 2) - this.BUTTON_PADDING - (this._advanceDayButton.width / 2);
+
+    // Each side may use a quarter of the bar, leaving the middle half to the time and date
+    const sideBudget = this.HUD_WIDTH / 4 - this.PADDING;
+    const layoutSide = (configs, direction) => {
+      const sideButtons = configs.map(createButton);
+      const totalWidth = sideButtons.reduce((sum, button) => sum + button.width, 0) + this.BUTTON_PADDING * Math.max(0, sideButtons.length - 1);
+      const fit = totalWidth > sideBudget ? Math.max(0.4, sideBudget / totalWidth) : 1;
+      let edge = direction > 0 ? this.PADDING : this.HUD_WIDTH - this.PADDING;
+      sideButtons.forEach(button => {
+        button.scale.set(button.scale.x * fit, fit);
+        button.x = edge + direction * button.width / 2;
+        edge += direction * (button.width + this.BUTTON_PADDING * fit);
+      });
+    };
+    layoutSide(buttons.filter(button => button.amount < 0), 1);
+    layoutSide(buttons.filter(button => button.amount > 0), -1);
     // console.log(`${this._moduleId} | Time advance controls drawn.`);
   }
 
-  _drawWeatherText() {
-    if (!this._mainContainer) return;
-    if (this._weatherText) this._weatherText.destroy();
-    const style = new PIXI.TextStyle({
-      fontFamily: this._globalFontFamily,
-      fontSize: this.primaryFontSize, // Use scaled primary font size (or a specific weather font size if defined)
-      fill: 'white',
-      align: 'center',
-      fontWeight: 'bold',
-      alpha: this._globalFontOpacity,
-      // Add shadow/outline for better visibility
-      dropShadow: true,
-      dropShadowColor: '#000000',
-      dropShadowBlur: 1,
-      dropShadowAngle: Math.PI / 4,
-      dropShadowDistance: 1,
-      stroke: '#000000',
-      strokeThickness: 1
-    });
-    this._weatherText = new PIXI.Text(this._currentWeather, style);
-    this._weatherText.anchor.set(0.5, 0.5);
+  /**
+   * Applies the theme, font and UI size to the weather text on the dial.
+   */
+  _styleWeatherText() {
+    // The theme's weather stroke and shadow keep the text readable over the dial
+    this._weatherText.style = this._getTextStyle('weather', this.primaryFontSize, { align: 'center' });
     this._weatherText.x = this.DIAL_CENTER_X;
     this._weatherText.y = this.DIAL_ARC_CENTER_Y + (this.primaryFontSize / 2) + this.weatherTextPaddingTop;
-    this._weatherText.alpha = this._globalFontOpacity; // Apply global font opacity
-    
-    // Weather text right-click is handled by dial container or interactive area only
-    // Remove individual weather text right-click to prevent double dialogs
-    
-    this._mainContainer.addChild(this._weatherText);
-    
-    // Ensure weather text is on top
-    this._ensureWeatherTextOnTop();
-    
-    // console.log(`${this._moduleId} | Weather text element created.`);
-  }
-
-  _drawRadialDialBackground() {
-    if (!this._mainContainer) return;
-    if (this._radialDialBackground) this._radialDialBackground.clear();
-    else this._radialDialBackground = new PIXI.Graphics();
-    const arcCenterX = this.DIAL_CENTER_X;
-    const arcCenterY = this.DIAL_ARC_CENTER_Y;
-    this._radialDialBackground.arc(arcCenterX, arcCenterY, this.DIAL_RADIUS, 0, Math.PI); 
-    this._mainContainer.addChild(this._radialDialBackground); 
-    // console.log(`${this._moduleId} | Radial dial border drawn. arcCenterY: ${arcCenterY}`);
   }
 
   _createDialGradientAndMask() {
-    if (!this._mainContainer || this.DIAL_RADIUS <= 0) return;
+    if (!this._layers || this.DIAL_RADIUS <= 0) return;
+    if (this._weatherEffects) {
+        this._weatherEffects.destroy();
+        this._weatherEffects = null;
+    }
     if (this._dialGradientContainer) {
         this._dialGradientContainer.destroy({children: true});
         this._dialGradientContainer = null;
         this._dialGradientSprite = null;
         this._dialMask = null;
+        this._sky = null;
     }
-    // Use custom dial image if set, otherwise use default
-    const customImage = game.settings.get(this._moduleId, 'customDialImage');
-    const imagePath = customImage || 'modules/soluna-dial/assets/dial.png';
-    
-    try {
-      this._dialGradientTexture = PIXI.Texture.from(imagePath);
-      if (!this._dialGradientTexture || this._dialGradientTexture === PIXI.Texture.EMPTY) {
-        // Don't create sprite if texture fails - but create interactive area for GMs
-        console.log(`${this._moduleId} | Dial texture not found, creating interactive area only`);
-        this._createDialInteractiveArea();
-        return;
-      } else {
-        this._dialGradientSprite = new PIXI.Sprite(this._dialGradientTexture);
-      }
-    } catch (error) {
-      console.log(`${this._moduleId} | Error loading dial texture, creating interactive area only`);
-      this._createDialInteractiveArea();
-      return;
-    }
-    // Apply custom scale if set
-    const customScale = game.settings.get(this._moduleId, 'customDialImageScale') || 1.0;
-    const scaledSize = this.DIAL_RADIUS * 2 * customScale;
-    
-    this._dialGradientSprite.width = scaledSize;
-    this._dialGradientSprite.height = scaledSize;
-    this._dialGradientSprite.alpha = this._dialImageOpacity;
-    this._dialGradientSprite.anchor.set(0.5);
     this._dialMask = new PIXI.Graphics();
     this._dialMask.beginFill(0xFFFFFF);
     this._dialMask.arc(0, 0, this.DIAL_RADIUS, 0, Math.PI, false);
@@ -469,10 +692,18 @@ class SolunaDial {
     this._dialGradientContainer = new PIXI.Container();
     this._dialGradientContainer.x = this.DIAL_CENTER_X;
     this._dialGradientContainer.y = this.DIAL_ARC_CENTER_Y;
-    this._dialGradientContainer.addChild(this._dialGradientSprite);
     this._dialGradientContainer.addChild(this._dialMask);
     this._dialGradientContainer.mask = this._dialMask;
-    
+
+    // The procedural sky also stands in for a dial image that cannot be loaded
+    if (this._dialStyle === 'sky' || !this._createDialSprite()) this._createSky();
+
+    // Weather effects above the image or sky, inside the same mask
+    this._weatherEffects = new SolunaDialWeatherEffects(this._pixiApp.renderer, this.DIAL_RADIUS, this._globalUiScale);
+    this._weatherEffects.setOptions({ level: this._weatherEffectsLevel, reducedMotion: this._reducedMotion });
+    this._weatherEffects.setWeather(this._currentWeather);
+    this._dialGradientContainer.addChild(this._weatherEffects.container);
+
     // Add right-click interaction for GMs to change weather
     if (game.user.isGM) {
       this._dialGradientContainer.interactive = true;
@@ -481,268 +712,1082 @@ class SolunaDial {
         this._showWeatherChangeDialog();
       });
     }
-    
-    this._mainContainer.addChild(this._dialGradientContainer);
-    // console.log(`${this._moduleId} | Dial gradient created. Y: ${this._dialGradientContainer.y}`);
+
+    this._layers.dial.addChild(this._dialGradientContainer);
   }
 
   /**
-   * Creates an invisible interactive area over the dial region for GM weather changes
+   * Adds the dial image to the dial container. An image that fails to load later is replaced by the
+   * procedural sky.
+   * @returns {boolean} Whether the image can be used.
    */
-  _createDialInteractiveArea() {
-    if (!this._mainContainer || !game.user.isGM) return;
-    
-    // Clean up existing interactive area
-    if (this._dialInteractiveArea) {
-      this._dialInteractiveArea.destroy();
+  _createDialSprite() {
+    // Use custom dial image if set, otherwise use default
+    const customImage = game.settings.get(this._moduleId, 'customDialImage');
+    const imagePath = customImage || 'modules/soluna-dial/assets/dial.png';
+    let texture;
+    try {
+      texture = PIXI.Texture.from(imagePath);
+    } catch (error) {
+      console.warn(`${this._moduleId} | Error loading dial texture '${imagePath}', drawing the procedural sky instead.`, error);
+      return false;
     }
-    
-    // Create invisible graphics for interaction
-    this._dialInteractiveArea = new PIXI.Graphics();
+    if (!texture || texture === PIXI.Texture.EMPTY) {
+      console.warn(`${this._moduleId} | Dial texture '${imagePath}' not found, drawing the procedural sky instead.`);
+      return false;
+    }
+    this._dialGradientTexture = texture;
+    this._dialGradientSprite = new PIXI.Sprite(texture);
+
+    // Apply custom scale if set
+    const customScale = game.settings.get(this._moduleId, 'customDialImageScale') || 1.0;
+    const scaledSize = this.DIAL_RADIUS * 2 * customScale;
+
+    this._dialGradientSprite.width = scaledSize;
+    this._dialGradientSprite.height = scaledSize;
+    this._dialGradientSprite.alpha = this._dialImageOpacity;
+    this._dialGradientSprite.anchor.set(0.5);
+    this._dialGradientContainer.addChildAt(this._dialGradientSprite, 0);
+
+    // Textures load in the background, and a cached texture may already have failed
+    const onError = () => {
+      if (!this._dialGradientSprite || this._dialGradientSprite.texture !== texture) return;
+      console.warn(`${this._moduleId} | Dial texture '${imagePath}' failed to load, drawing the procedural sky instead.`);
+      this._dialGradientSprite.destroy();
+      this._dialGradientSprite = null;
+      this._createSky();
+      this._updateDialRotation();
+    };
+    const baseTexture = texture.baseTexture;
+    if (!baseTexture.valid) {
+      baseTexture.once('loaded', () => this._requestRender());
+      const loading = baseTexture.resource?.load?.();
+      if (loading) loading.catch(onError);
+      else baseTexture.once('error', onError);
+    }
+    return true;
+  }
+
+  /**
+   * Adds the procedural sky to the dial container: the sky color, the stars and the sun, each a PIXI
+   * object of its own, drawn at the current UI size rather than scaled from a texture.
+   */
+  _createSky() {
+    const container = new PIXI.Container();
+    container.alpha = this._dialImageOpacity;
+    const background = new PIXI.Graphics();
+
+    // The stars cover the whole disc, as they turn with the sky
+    const stars = new PIXI.Graphics();
+    for (const star of SolunaDialSky.getStars(this.STAR_COUNT)) {
+      stars.beginFill(0xFFFFFF, star.alpha);
+      stars.drawCircle(star.x * this.DIAL_RADIUS, star.y * this.DIAL_RADIUS, star.size * this.STAR_SIZE);
+      stars.endFill();
+    }
+
+    const sun = new PIXI.Graphics();
+    sun.beginFill(0xFFD27F, 0.3);
+    sun.drawCircle(0, 0, this.SUN_SIZE * 1.8);
+    sun.endFill();
+    sun.beginFill(0xFFF4C2);
+    sun.drawCircle(0, 0, this.SUN_SIZE);
+    sun.endFill();
+
+    container.addChild(background, stars, sun);
+    this._dialGradientContainer.addChildAt(container, 0);
+    this._sky = { container, background, stars, sun, colors: SolunaDialSky.getColors(), color: null };
+  }
+
+  /**
+   * Moves the procedural sky to a point of the dial rotation: recolors it, turns the stars and places
+   * the sun on the same path as the moons.
+   * @param {number} fraction - The rotation fraction from _getSolarDayFraction.
+   */
+  _updateSky(fraction) {
+    const { background, stars, sun, colors } = this._sky;
+    const color = SolunaDialSky.colorAt(colors, fraction);
+    if (color !== this._sky.color) {
+      this._sky.color = color;
+      const zenith = SolunaDialSky.mix(color, 0x000000, SolunaDialSky.ZENITH_SHADE);
+      background.clear();
+      // Each ring is painted over by the next, smaller and darker one
+      for (let band = 0; band < this.SKY_BANDS; band++) {
+        const depth = band / this.SKY_BANDS;
+        background.beginFill(SolunaDialSky.mix(color, zenith, depth));
+        background.drawCircle(0, 0, this.DIAL_RADIUS * (1 - depth));
+        background.endFill();
+      }
+    }
+    stars.rotation = fraction * Math.PI * 2;
+    stars.alpha = SolunaDialSky.starVisibility(fraction);
+    const angle = Math.PI / 2 + (fraction - 0.5) * Math.PI * 2;
+    const orbit = this.DIAL_RADIUS * this.MOON_ORBIT_RATIO;
+    sun.position.set(Math.cos(angle) * orbit, Math.sin(angle) * orbit);
+  }
+
+  /**
+   * Shapes the invisible area over the dial region for GM weather changes.
+   */
+  _drawDialInteractiveArea() {
+    if (!this._dialInteractiveArea) return;
+    this._dialInteractiveArea.clear();
     this._dialInteractiveArea.beginFill(0x000000, 0); // Transparent
     this._dialInteractiveArea.arc(0, 0, this.DIAL_RADIUS, 0, Math.PI, false);
     this._dialInteractiveArea.endFill();
-    
-    // Position and make interactive
     this._dialInteractiveArea.x = this.DIAL_CENTER_X;
     this._dialInteractiveArea.y = this.DIAL_ARC_CENTER_Y;
-    this._dialInteractiveArea.interactive = true;
-    this._dialInteractiveArea.on('rightclick', (event) => {
-      event.stopPropagation();
-      this._showWeatherChangeDialog();
+  }
+
+  _drawDialMarker() {
+    if (!this._dialMarker) return;
+    this._dialMarker.clear();
+    const markerX = this.DIAL_CENTER_X;
+    const markerBottomTipY = this.DIAL_ARC_CENTER_Y + this.DIAL_RADIUS;
+    this._dialMarker.beginFill(this._dialMarkerColor, this._dialMarkerOpacity);
+    this._dialMarker.moveTo(markerX, markerBottomTipY); 
+    this._dialMarker.lineTo(markerX + this.MARKER_SIZE / 2, markerBottomTipY - this.MARKER_SIZE / 2);
+    this._dialMarker.lineTo(markerX, markerBottomTipY - this.MARKER_SIZE);
+    this._dialMarker.lineTo(markerX - this.MARKER_SIZE / 2, markerBottomTipY - this.MARKER_SIZE / 2);
+    this._dialMarker.closePath();
+    this._dialMarker.endFill();
+    this._requestRender();
+  }
+
+  /**
+   * Reads the calendar's moons and their current phases.
+   * @returns {Array<{name: string, color: string, phaseName: string, cycleFraction: number}>}
+   *   cycleFraction is 0 at new moon and 0.5 at full moon.
+   */
+  _getMoons() {
+    return SolunaDialCalendar.getMoons();
+  }
+
+  /**
+   * Positions and redraws the moon discs for the current time.
+   * A moon trails the sun by its cycle fraction of a day: new moons travel with the sun and full moons
+   * rise at sunset. Moons below the horizon are hidden.
+   */
+  _updateMoons() {
+    if (!this._moonContainer) return;
+    this._requestRender();
+    const moons = this._getMoons();
+
+    // Keep one graphic per moon so hover state survives time updates
+    while (this._moonContainer.children.length > moons.length) {
+      this._moonContainer.children[this._moonContainer.children.length - 1].destroy();
+    }
+    while (this._moonContainer.children.length < moons.length) {
+      const moonGraphic = new PIXI.Graphics();
+      moonGraphic.interactive = true;
+      moonGraphic.on('pointerover', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = moonGraphic.tooltipText; });
+      moonGraphic.on('pointerout', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = ''; });
+      this._moonContainer.addChild(moonGraphic);
+    }
+
+    const { secondsPerDay } = this._getTimeConfig();
+    const { secondsIntoDay } = this._getTimeOfDay();
+    moons.forEach((moon, index) => {
+      const moonGraphic = this._moonContainer.children[index];
+      const moonTime = secondsIntoDay - moon.cycleFraction * secondsPerDay;
+      const moonSecondsIntoDay = ((moonTime % secondsPerDay) + secondsPerDay) % secondsPerDay;
+      // Same geometry as the dial: the body is at the bottom of the arc at solar noon (fraction 0.5)
+      const angle = Math.PI / 2 + (this._getSolarDayFraction(moonSecondsIntoDay) - 0.5) * Math.PI * 2;
+      // Stagger additional moons inward so coinciding moons stay distinguishable
+      const orbit = this.DIAL_RADIUS * this.MOON_ORBIT_RATIO - index * this.MOON_SIZE * 2.2;
+
+      moonGraphic.tooltipText = `${moon.name}: ${moon.phaseName}`;
+      moonGraphic.x = Math.cos(angle) * orbit;
+      moonGraphic.y = Math.sin(angle) * orbit;
+      moonGraphic.visible = moonGraphic.y > 0;
+      this._drawMoonPhase(moonGraphic, moon.cycleFraction, moon.color);
+    });
+  }
+
+  /**
+   * Draws a moon disc with its lit portion for the given position in the cycle.
+   * @param {PIXI.Graphics} graphics - The graphics object to draw into, centered on the moon.
+   * @param {number} cycleFraction - Position in the lunar cycle, 0 = new, 0.5 = full.
+   * @param {string} color - CSS color of the lit portion.
+   */
+  _drawMoonPhase(graphics, cycleFraction, color) {
+    const radius = this.MOON_SIZE;
+    let litColor = 0xFFFFFF;
+    try {
+      litColor = Number(PIXI.utils.string2hex(color));
+    } catch (e) {
+      // Keep white for colors PIXI cannot parse
+    }
+    graphics.clear();
+    graphics.lineStyle(1, SolunaDialThemes.toHex(this._theme.moons.outline, 0x000000), 0.6);
+    graphics.beginFill(SolunaDialThemes.toHex(this._theme.moons.shade, 0x202030), 0.85);
+    graphics.drawCircle(0, 0, radius);
+    graphics.endFill();
+    graphics.lineStyle(0);
+
+    // The lit area is bounded by the bright limb (a half circle) and the terminator (a half ellipse).
+    // Waxing moons are lit on the right, waning moons on the left.
+    const side = cycleFraction < 0.5 ? 1 : -1;
+    const terminatorScale = Math.cos(cycleFraction * Math.PI * 2);
+    const steps = 24;
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const theta = -Math.PI / 2 + (i / steps) * Math.PI;
+      points.push(side * radius * Math.cos(theta), radius * Math.sin(theta));
+    }
+    for (let i = steps; i >= 0; i--) {
+      const theta = -Math.PI / 2 + (i / steps) * Math.PI;
+      points.push(side * terminatorScale * radius * Math.cos(theta), radius * Math.sin(theta));
+    }
+    graphics.beginFill(litColor, 1);
+    graphics.drawPolygon(points);
+    graphics.endFill();
+  }
+
+  /**
+   * Positions the pins of today's timed notes on the dial rim.
+   * A pin is fixed to its time on the dial, so it travels towards the marker and reaches it when the note is due.
+   * Pins on the hidden half of the dial are not shown.
+   */
+  _updateEventPins() {
+    if (!this._eventPinContainer) return;
+    this._requestRender();
+    const timeConfig = this._getTimeConfig();
+    const dayIndex = Math.floor(game.time.worldTime / timeConfig.secondsPerDay);
+    if (this._eventPinCache?.dayIndex !== dayIndex) {
+      this._eventPinCache = { dayIndex, notes: SolunaDialEvents.getNotesForDay(dayIndex, timeConfig) };
+    }
+    const notes = this._showEventPins ? this._eventPinCache.notes.filter(note => !note.allDay) : [];
+
+    while (this._eventPinContainer.children.length > notes.length) {
+      this._eventPinContainer.children[this._eventPinContainer.children.length - 1].destroy();
+    }
+    while (this._eventPinContainer.children.length < notes.length) {
+      const pinGraphic = new PIXI.Graphics();
+      pinGraphic.interactive = true;
+      pinGraphic.on('pointerover', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = pinGraphic.tooltipText; });
+      pinGraphic.on('pointerout', () => { if (this._pixiApp && this._pixiApp.view) this._pixiApp.view.title = ''; });
+      this._eventPinContainer.addChild(pinGraphic);
+    }
+
+    const nowFraction = this._getSolarDayFraction(this._getTimeOfDay().secondsIntoDay);
+    const radius = this.DIAL_RADIUS - this.EVENT_PIN_SIZE * 2;
+    notes.forEach((note, index) => {
+      const pinGraphic = this._eventPinContainer.children[index];
+      // The marker sits at the bottom of the arc; later notes are still to its right
+      const angle = Math.PI / 2 - (this._getSolarDayFraction(note.secondsIntoDay) - nowFraction) * Math.PI * 2;
+      pinGraphic.tooltipText = `${note.name} (${SolunaDialEvents.formatTime(note.secondsIntoDay, timeConfig)})`;
+      pinGraphic.x = Math.cos(angle) * radius;
+      pinGraphic.y = Math.sin(angle) * radius;
+      pinGraphic.visible = pinGraphic.y > 0;
+      pinGraphic.clear();
+      pinGraphic.lineStyle(1, SolunaDialThemes.toHex(this._theme.eventPins.outline, 0x000000), 0.8);
+      pinGraphic.beginFill(this._dialMarkerColor, this._dialMarkerOpacity);
+      pinGraphic.drawCircle(0, 0, this.EVENT_PIN_SIZE);
+      pinGraphic.endFill();
     });
+  }
+
+  /**
+   * Announces the calendar notes that a forward time change passed, all together in one message.
+   * @param {number} worldTime - The new world time.
+   * @param {number} dt - The change in world time.
+   */
+  _announcePassedEvents(worldTime, dt) {
+    if (!(dt > 0)) return;
+    const timeConfig = this._getTimeConfig();
+    const passed = SolunaDialEvents.getNotesBetween(worldTime - dt, worldTime, timeConfig);
+    if (passed.length > 0) {
+      SolunaDialEvents.announce(passed, timeConfig);
+    }
+  }
+
+  /**
+   * Returns the time units of the active calendar, or a 24h/60m/60s day without one.
+   * @returns {{hoursInDay: number, minutesInHour: number, secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}}
+   */
+  _getTimeConfig() {
+    return SolunaDialCalendar.getTimeConfig();
+  }
+
+  /**
+   * Splits a world time into the time of day of the active calendar.
+   * @param {number} [worldTime=game.time.worldTime] - The world time in seconds.
+   * @returns {{hours: number, minutes: number, seconds: number, secondsIntoDay: number, dayFraction: number}}
+   */
+  _getTimeOfDay(worldTime = game.time.worldTime) {
+    const { secondsInMinute, secondsPerHour, secondsPerDay } = this._getTimeConfig();
+    // Positive modulo so times before the epoch still map onto a valid time of day
+    const secondsIntoDay = ((worldTime % secondsPerDay) + secondsPerDay) % secondsPerDay;
+    return {
+      hours: Math.floor(secondsIntoDay / secondsPerHour),
+      minutes: Math.floor((secondsIntoDay % secondsPerHour) / secondsInMinute),
+      seconds: Math.floor(secondsIntoDay % secondsInMinute),
+      secondsIntoDay,
+      dayFraction: secondsIntoDay / secondsPerDay
+    };
+  }
+
+  /**
+   * Returns today's sunrise and sunset as seconds into the day.
+   * Uses the current season's sunrise and sunset when the calendar has them, otherwise SUNRISE_HOUR and
+   * SUNSET_HOUR scaled to the calendar's day length.
+   * @returns {{sunrise: number, sunset: number}}
+   */
+  _getSunTimes() {
+    const { secondsPerDay } = this._getTimeConfig();
+    const fallback = {
+      sunrise: (this.SUNRISE_HOUR / 24) * secondsPerDay,
+      sunset: (this.SUNSET_HOUR / 24) * secondsPerDay
+    };
+    const season = SolunaDialCalendar.getSeason();
+    const sunrise = Number(season?.sunrise);
+    const sunset = Number(season?.sunset);
+    // A day with no night or no daylight cannot be mapped onto the two halves of the dial
+    if (Number.isFinite(sunrise) && Number.isFinite(sunset) && sunrise >= 0 && sunrise < sunset && sunset < secondsPerDay) {
+      return { sunrise, sunset };
+    }
+    return fallback;
+  }
+
+  /**
+   * Maps a time of day onto a fraction of one dial rotation.
+   * The daylight hours are spread over the sun half of the dial (0.25 to 0.75) and the night over the
+   * other half, so the sun crosses the horizon exactly at sunrise and sunset.
+   * @param {number} secondsIntoDay - Seconds elapsed since midnight.
+   * @returns {number} The rotation fraction in the range [0, 1).
+   */
+  _getSolarDayFraction(secondsIntoDay) {
+    const { secondsPerDay } = this._getTimeConfig();
+    const { sunrise, sunset } = this._getSunTimes();
+    const dayLength = sunset - sunrise;
+    const nightLength = secondsPerDay - dayLength;
+    if (secondsIntoDay >= sunrise && secondsIntoDay < sunset) {
+      return 0.25 + 0.5 * (secondsIntoDay - sunrise) / dayLength;
+    }
+    const sinceSunset = ((secondsIntoDay - sunset) % secondsPerDay + secondsPerDay) % secondsPerDay;
+    return (0.75 + 0.5 * sinceSunset / nightLength) % 1;
+  }
+
+  _updateDialRotation() {
+    // One full rotation per calendar day, warped so the horizon matches today's sunrise and sunset
+    const fraction = this._getSolarDayFraction(this._getTimeOfDay().secondsIntoDay);
+    this._requestRender();
+    if (this._sky) this._updateSky(fraction);
+    if (!this._dialGradientSprite) return;
+    const baseRotation = fraction * Math.PI * 2;
+    
+    // Get custom angle offset from settings (in degrees) and convert to radians
+    const angleOffsetDegrees = game.settings.get(this._moduleId, 'customDialImageAngleOffset') || 90;
+    const offsetRotation = (angleOffsetDegrees * Math.PI) / 180;
     
-    this._mainContainer.addChild(this._dialInteractiveArea);
-    console.log(`${this._moduleId} | Dial interactive area created for GM weather changes`);
+    this._dialGradientSprite.rotation = baseRotation + offsetRotation;
+  }
+
+  updateTimeDisplay() {
+    if (!this._timeText) return;
+    const combat = SolunaDialCombat.getActiveCombat();
+    if (combat) {
+      const elapsed = SolunaDialCombat.formatDuration(SolunaDialCombat.getElapsed(combat), this._getTimeConfig());
+      this._timeText.text = game.i18n.format('soluna-dial.combat.timeBar', { round: combat.round, elapsed });
+      this._repositionElementsInTimeCalendarGroup();
+      this._centerTimeCalendarGroup();
+      return;
+    }
+    this._timeText.text = SolunaDialFormat.formatTime(SolunaDialFormat.getTimeTemplate(this._timeFormat, this._displaySeconds), this._getTimeOfDay(), this._getTimeConfig().hoursInDay);
+    this._repositionElementsInTimeCalendarGroup();
+    this._centerTimeCalendarGroup();
+  }
+
+  updateCalendarDisplay() {
+    if (!this._calendarText) return;
+    if (SolunaDialCalendar.getProvider()) {
+      const date = SolunaDialCalendar.getDate();
+      this._calendarText.text = date
+        ? SolunaDialFormat.formatDate(SolunaDialFormat.getDateTemplate(this._dateFormat), date)
+        : game.i18n.localize('soluna-dial.calendar.noDate');
+    } else {
+      this._calendarText.text = game.i18n.localize('soluna-dial.calendar.inactive');
+    }
+    this._repositionElementsInTimeCalendarGroup();
+    this._centerTimeCalendarGroup();
+  }
+
+  /**
+   * Shows a dialog for GMs to change the weather condition and its details
+   * for the world, a weather region or a single scene.
+   */
+  async _showWeatherChangeDialog() {
+    if (!game.user.isGM) return;
+
+    // Start on whatever the GM is looking at
+    let target = SolunaDialWeather.getSceneTarget(canvas?.scene);
+    let currentWeather = SolunaDialWeather.getTargetWeather(target) ?? this._currentWeather;
+    const currentKey = SolunaDialWeather.findConditionKey(currentWeather.condition);
+
+    const targets = [
+      'world',
+      ...Object.keys(SolunaDialWeather.getRegions()).map(id => `region.${id}`),
+      ...game.scenes.contents
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(scene => `scene.${scene.id}`)
+    ];
+    // Scenes without their own weather show what they currently inherit
+    const targetOptionsHTML = targets.map(option => {
+      let label = SolunaDialWeather.getTargetLabel(option);
+      if (option.startsWith('scene.')) {
+        const sceneTarget = SolunaDialWeather.getSceneTarget(game.scenes.get(option.split('.')[1]));
+        if (sceneTarget !== option) label += ` ${game.i18n.format('soluna-dial.weather.dialog.inherits', { target: SolunaDialWeather.getTargetLabel(sceneTarget) })}`;
+      }
+      // Region and scene names are typed in by the GM
+      return `<option value="${option}" ${option === target ? 'selected' : ''}>${Handlebars.escapeExpression(label)}</option>`;
+    }).join('');
+
+    // Common weather conditions for quick selection
+    const optionsHTML = Object.keys(SolunaDialWeather.CONDITIONS).map(key =>
+      `<option value="${key}" ${key === currentKey ? 'selected' : ''}>${SolunaDialWeather.getConditionLabel(key)}</option>`
+    ).join('');
+    const directionOptions = SolunaDialWeather.WIND_DIRECTIONS.map(direction =>
+      `<option value="${direction}" ${direction === currentWeather.wind.direction ? 'selected' : ''}>${SolunaDialWeather.getDirectionLabel(direction)}</option>`
+    ).join('');
+    const precipitationOptions = ['none', 'rain', 'snow', 'hail'].map(type =>
+      `<option value="${type}" ${type === currentWeather.precipitation.type ? 'selected' : ''}>${SolunaDialWeather.getPrecipitationLabel(type)}</option>`
+    ).join('');
+
+    const content = `
+      <form>
+        <div class="form-group">
+          <label for="weather-target">${game.i18n.localize('soluna-dial.weather.dialog.target')}</label>
+          <select id="weather-target" style="width: 100%; margin-bottom: 10px;">
+            ${targetOptionsHTML}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="weather-select">${game.i18n.localize('soluna-dial.weather.dialog.quickSelect')}</label>
+          <select id="weather-select" style="width: 100%; margin-bottom: 10px;">
+            ${optionsHTML}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="weather-custom">${game.i18n.localize('soluna-dial.weather.dialog.custom')}</label>
+          <input type="text" id="weather-custom" placeholder="${game.i18n.localize('soluna-dial.weather.dialog.customPlaceholder')}" style="width: 100%;" value="${Handlebars.escapeExpression(SolunaDialWeather.getConditionLabel(currentWeather.condition))}">
+        </div>
+        <hr>
+        <div class="form-group">
+          <label for="weather-temperature">${game.i18n.localize('soluna-dial.weather.dialog.temperature')}</label>
+          <input type="number" id="weather-temperature" step="1" value="${currentWeather.temperature}">
+        </div>
+        <div class="form-group">
+          <label for="weather-wind-speed">${game.i18n.localize('soluna-dial.weather.dialog.wind')}</label>
+          <input type="number" id="weather-wind-speed" min="0" step="1" value="${currentWeather.wind.speed}">
+          <select id="weather-wind-direction">${directionOptions}</select>
+        </div>
+        <div class="form-group">
+          <label for="weather-precipitation-type">${game.i18n.localize('soluna-dial.weather.dialog.precipitation')}</label>
+          <select id="weather-precipitation-type">${precipitationOptions}</select>
+          <input type="number" id="weather-precipitation-intensity" min="0" max="100" step="5" value="${Math.round(currentWeather.precipitation.intensity * 100)}" title="${game.i18n.localize('soluna-dial.weather.dialog.intensity')}">
+        </div>
+        <div class="form-group">
+          <label for="weather-cloud-cover">${game.i18n.localize('soluna-dial.weather.dialog.cloudCover')}</label>
+          <input type="number" id="weather-cloud-cover" min="0" max="100" step="5" value="${Math.round(currentWeather.cloudCover * 100)}">
+        </div>
+        <div class="form-group">
+          <label for="weather-visibility">${game.i18n.localize('soluna-dial.weather.dialog.visibility')}</label>
+          <input type="number" id="weather-visibility" min="0" step="0.1" value="${currentWeather.visibility}">
+        </div>
+      </form>
+    `;
+
+    // Fills the detail fields from a weather state
+    const fillDetails = (html, state) => {
+      html.find('#weather-temperature').val(state.temperature);
+      html.find('#weather-wind-speed').val(state.wind.speed);
+      html.find('#weather-wind-direction').val(state.wind.direction);
+      html.find('#weather-precipitation-type').val(state.precipitation.type);
+      html.find('#weather-precipitation-intensity').val(Math.round(state.precipitation.intensity * 100));
+      html.find('#weather-cloud-cover').val(Math.round(state.cloudCover * 100));
+      html.find('#weather-visibility').val(state.visibility);
+    };
+
+    new Dialog({
+      title: game.i18n.localize('soluna-dial.weather.dialog.title'),
+      content: content,
+      buttons: {
+        update: {
+          label: game.i18n.localize('soluna-dial.weather.dialog.update'),
+          callback: (html) => {
+            const customInput = html.find('#weather-custom')[0].value.trim();
+            const selectValue = html.find('#weather-select')[0].value;
+            
+            // Use custom input if provided, otherwise use selected value
+            const newWeather = SolunaDialWeather.normalizeState({
+              condition: customInput || selectValue,
+              temperature: html.find('#weather-temperature').val(),
+              wind: {
+                speed: html.find('#weather-wind-speed').val(),
+                direction: html.find('#weather-wind-direction').val()
+              },
+              precipitation: {
+                type: html.find('#weather-precipitation-type').val(),
+                intensity: Number(html.find('#weather-precipitation-intensity').val()) / 100
+              },
+              cloudCover: Number(html.find('#weather-cloud-cover').val()) / 100,
+              visibility: html.find('#weather-visibility').val()
+            });
+            
+            // A scene without its own weather gets one even if it matches the inherited weather
+            const isNewSceneWeather = target.startsWith('scene.') && !SolunaDialWeather.getTargetWeather(target);
+            if (newWeather && (isNewSceneWeather || JSON.stringify(newWeather) !== JSON.stringify(currentWeather))) {
+              this._applyWeather(newWeather, target);
+              ui.notifications.info(game.i18n.format('soluna-dial.weather.dialog.changed', {
+                target: SolunaDialWeather.getTargetLabel(target),
+                weather: SolunaDialWeather.describeState(newWeather, this._temperatureUnit)
+              }));
+            }
+          }
+        },
+        clearScene: {
+          label: game.i18n.localize('soluna-dial.weather.dialog.clearScene'),
+          callback: async (html) => {
+            const selectedTarget = html.find('#weather-target').val();
+            if (!selectedTarget.startsWith('scene.')) {
+              ui.notifications.warn(game.i18n.localize('soluna-dial.weather.dialog.clearSceneOnly'));
+              return;
+            }
+            await SolunaDialWeather.setTargetWeather(selectedTarget, null);
+            ui.notifications.info(game.i18n.format('soluna-dial.weather.dialog.cleared', { target: SolunaDialWeather.getTargetLabel(selectedTarget) }));
+          }
+        },
+        forecast: {
+          label: game.i18n.localize('soluna-dial.weather.dialog.forecast'),
+          callback: () => this._showForecastDialog()
+        },
+        cancel: {
+          label: game.i18n.localize('soluna-dial.common.cancel')
+        }
+      },
+      render: (html) => {
+        // Load the selected target's weather into the form
+        html.find('#weather-target').change((event) => {
+          target = event.target.value;
+          currentWeather = SolunaDialWeather.getTargetWeather(target)
+            ?? SolunaDialWeather.getTargetWeather(SolunaDialWeather.getSceneTarget(game.scenes.get(target.split('.')[1])))
+            ?? this._currentWeather;
+          html.find('#weather-select').val(SolunaDialWeather.findConditionKey(currentWeather.condition) ?? '');
+          html.find('#weather-custom')[0].value = SolunaDialWeather.getConditionLabel(currentWeather.condition);
+          fillDetails(html, currentWeather);
+        });
+
+        // Update custom input and roll matching details when selection changes
+        html.find('#weather-select').change((event) => {
+          html.find('#weather-custom')[0].value = SolunaDialWeather.getConditionLabel(event.target.value);
+          fillDetails(html, SolunaDialWeather.createState(event.target.value, { previous: currentWeather }));
+        });
+      },
+      default: "update"
+    }).render(true);
   }
 
+  /**
+   * Updates the local display, saves the weather and broadcasts it to other clients.
+   * @param {object} newWeather - The new weather state.
+   * @param {string} [target='world'] - 'world', 'region.<id>' or 'scene.<id>'.
+   */
+  _applyWeather(newWeather, target = 'world') {
+    // Update local weather first, if this client is looking at the target
+    if (this._isViewedWeatherTarget(target)) {
+      this.updateWeatherDisplay(newWeather);
+    }
 
+    // Save weather for persistence
+    this._saveWeatherToFlag(newWeather, target);
 
-  _drawDialMarker() {
-    if (!this._mainContainer) return;
-    if (this._dialMarker) this._dialMarker.clear();
-    else this._dialMarker = new PIXI.Graphics();
-    const markerX = this.DIAL_CENTER_X;
-    const markerYOffset = this.MARKER_SIZE / 2; // Center of the diamond for y positioning
-    const markerBottomTipY = this.DIAL_ARC_CENTER_Y + this.DIAL_RADIUS;
-    this._dialMarker.beginFill(this._dialMarkerColor, this._dialMarkerOpacity);
-    this._dialMarker.moveTo(markerX, markerBottomTipY); 
-    this._dialMarker.lineTo(markerX + this.MARKER_SIZE / 2, markerBottomTipY - this.MARKER_SIZE / 2);
-    this._dialMarker.lineTo(markerX, markerBottomTipY - this.MARKER_SIZE);
-    this._dialMarker.lineTo(markerX - this.MARKER_SIZE / 2, markerBottomTipY - this.MARKER_SIZE / 2);
-    this._dialMarker.closePath();
-    this._dialMarker.endFill();
-    this._mainContainer.addChild(this._dialMarker);
-    // console.log(`${this._moduleId} | Dial marker drawn.`);
+    // Broadcast to all other clients via socket
+    game.socket.emit(`module.${this._moduleId}`, {
+      type: 'weather-update',
+      weather: newWeather,
+      target: target,
+      userId: game.user.id // Include sender ID to avoid echo
+    });
   }
 
-  _updateDialRotation() {
-    if (!this._dialGradientSprite) return;
-    const worldTime = game.time.worldTime;
-    const currentHour = (worldTime / 3600) % 24;
-    const baseRotation = (currentHour / 24) * Math.PI * 2;
-    
-    // Get custom angle offset from settings (in degrees) and convert to radians
-    const angleOffsetDegrees = game.settings.get(this._moduleId, 'customDialImageAngleOffset') || 90;
-    const offsetRotation = (angleOffsetDegrees * Math.PI) / 180;
-    
-    this._dialGradientSprite.rotation = baseRotation + offsetRotation;
+  /**
+   * Whether a weather target is the one shown for the scene this client is viewing.
+   * Setting a scene's own weather always affects that scene, even if it used region or world weather before.
+   * @param {string} target - 'world', 'region.<id>' or 'scene.<id>'.
+   * @returns {boolean}
+   */
+  _isViewedWeatherTarget(target) {
+    const scene = canvas?.scene;
+    return target === SolunaDialWeather.getSceneTarget(scene) || (!!scene && target === `scene.${scene.id}`);
   }
 
-  updateTimeDisplay() {
-    if (!this._timeText) return;
-    const worldTime = game.time.worldTime;
-    const hours = Math.floor(worldTime / 3600) % 24;
-    const minutes = Math.floor((worldTime % 3600) / 60);
-    let timeString = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-    if (this._displaySeconds) {
-      const seconds = Math.floor(worldTime % 60);
-      timeString += `:${String(seconds).padStart(2, '0')}`;
-    }
-    this._timeText.text = timeString;
-    this._repositionElementsInTimeCalendarGroup();
-    this._centerTimeCalendarGroup();
+  /**
+   * Shows the weather of the scene this client is viewing. A region or world that never saved weather
+   * shows the world weather, or clear weather, rather than the previous scene's.
+   */
+  _refreshSceneWeather() {
+    const weather = SolunaDialWeather.getTargetWeather(SolunaDialWeather.getSceneTarget(canvas?.scene))
+      ?? SolunaDialWeather.getTargetWeather('world')
+      ?? SolunaDialWeather.normalizeState(game.settings.get(this._moduleId, 'currentWeather')) // Not yet migrated
+      ?? SolunaDialWeather.normalizeState('clear');
+    this.updateWeatherDisplay(weather);
+    this._syncSceneEffects();
+    this._syncSceneDarkness();
   }
 
-  updateCalendarDisplay() {
-    if (!this._calendarText) return;
-    if (game.modules.get('foundryvtt-simple-calendar')?.active && SimpleCalendar?.api) {
-      try {
-        const currentDateTime = SimpleCalendar.api.currentDateTimeDisplay();
-        let displayDate = 'SC N/A';
-        if (currentDateTime) {
-          displayDate = currentDateTime.date;
-          if (currentDateTime.day && currentDateTime.monthName && currentDateTime.year) {
-            const yearPrefix = currentDateTime.yearPrefix || "";
-            const yearPostfix = currentDateTime.yearPostfix || "";
-            displayDate = `${currentDateTime.day} ${currentDateTime.monthName}, ${yearPrefix}${currentDateTime.year}${yearPostfix}`.trim().replace(/,\s*$/, "");
-          } else if (!currentDateTime.date) {
-            displayDate = 'SC: No date';
-          }
-        } else {
-          displayDate = 'SC: No object';
-        }
-        this._calendarText.text = displayDate;
-      } catch (e) {
-        this._calendarText.text = 'SC: API Err';
+  /**
+   * Sets the active scene's darkness level from the time of day and its weather.
+   * Only the active GM updates the scene, only when the dial drives darkness, and never for scenes that opted out.
+   */
+  _syncSceneDarkness() {
+    if (!game.user.isGM || game.users.activeGM?.id !== game.user.id) return;
+    if (!game.settings.get(this._moduleId, 'syncSceneDarkness')) return;
+    const scene = game.scenes.active;
+    if (!SolunaDialDarkness.isSceneEnabled(scene)) return;
+
+    const { secondsPerHour } = this._getTimeConfig();
+    const { sunrise, sunset } = this._getSunTimes();
+    const darkness = SolunaDialDarkness.computeDarkness({
+      secondsIntoDay: this._getTimeOfDay().secondsIntoDay,
+      sunrise,
+      sunset,
+      twilight: game.settings.get(this._moduleId, 'darknessTwilightHours') * secondsPerHour,
+      nightDarkness: game.settings.get(this._moduleId, 'darknessAtNight'),
+      weather: SolunaDialWeather.getTargetWeather(SolunaDialWeather.getSceneTarget(scene))
+    });
+    SolunaDialDarkness.applyToScene(scene, darkness).catch(error => {
+      console.error(`${this._moduleId} | Error setting darkness of scene ${scene.name}:`, error);
+    });
+  }
+
+  /**
+   * Sets the weather effect of the active scene and the scene the GM is viewing to match their weather.
+   * Only the active GM updates scenes, and only when scene weather sync is enabled.
+   */
+  _syncSceneEffects() {
+    if (!game.user.isGM || game.users.activeGM?.id !== game.user.id) return;
+    if (!game.settings.get(this._moduleId, 'syncSceneWeather')) return;
+    const scenes = new Set([canvas?.scene, game.scenes.active].filter(Boolean));
+    for (const scene of scenes) {
+      const weather = SolunaDialWeather.getTargetWeather(SolunaDialWeather.getSceneTarget(scene));
+      SolunaDialSceneEffects.applyToScene(scene, weather).catch(error => {
+        console.error(`${this._moduleId} | Error syncing weather effects to scene ${scene.name}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Advances the weather when world time moves forward into a new calendar day.
+   * With a forecast, the next forecast day becomes current; otherwise automatic weather rolls a new day.
+   * Only the active GM updates the weather, so several connected GMs do not produce competing results.
+   * @param {number} worldTime - The new world time.
+   * @param {number} dt - The change in world time.
+   */
+  async _onDayChange(worldTime, dt) {
+    if (!(dt > 0) || !game.user.isGM || game.users.activeGM?.id !== game.user.id) return;
+    const forecastDays = game.settings.get(this._moduleId, 'weatherForecastDays');
+    if (!(forecastDays > 0) && !game.settings.get(this._moduleId, 'autoWeather')) return;
+    const { secondsPerDay } = this._getTimeConfig();
+    const daysPassed = Math.floor(worldTime / secondsPerDay) - Math.floor((worldTime - dt) / secondsPerDay);
+    if (daysPassed <= 0) return;
+
+    // Step through each skipped day in turn so long jumps still drift gradually; a month is plenty to lose the start
+    const steps = Math.min(daysPassed, 30);
+    const worldWeather = SolunaDialWeather.getTargetWeather('world') ?? this._currentWeather;
+    let weather = worldWeather;
+    if (forecastDays > 0) {
+      let forecast = SolunaDialWeather.getForecast();
+      for (let day = 0; day < steps; day++) {
+        forecast = SolunaDialWeather.fillForecast(forecast, forecastDays, weather);
+        weather = forecast.shift().weather;
       }
+      await SolunaDialWeather.setForecast(SolunaDialWeather.fillForecast(forecast, forecastDays, weather));
     } else {
-      this._calendarText.text = 'SC not active';
+      for (let day = 0; day < steps; day++) {
+        weather = SolunaDialWeather.rollState({ previous: weather }) ?? weather;
+      }
     }
-    this._repositionElementsInTimeCalendarGroup();
-    this._centerTimeCalendarGroup();
+    if (weather && weather !== worldWeather) {
+      this._applyWeather(weather);
+    }
+
+    // Regions follow their own climate; scenes with their own weather are left to the GM
+    const regions = SolunaDialWeather.getRegions();
+    if (Object.keys(regions).length > 0) {
+      for (const region of Object.values(regions)) {
+        for (let day = 0; day < steps; day++) {
+          region.weather = SolunaDialWeather.rollState({ climate: region.climate, previous: region.weather }) ?? region.weather;
+        }
+      }
+      await SolunaDialWeather.setRegions(regions);
+    }
+    console.log(`${this._moduleId} | ${daysPassed} day(s) passed, weather is now: ${SolunaDialWeather.describeState(weather)}`);
   }
 
   /**
-   * Shows a dialog for GMs to change the weather condition
+   * Returns a label for a day relative to today, using the calendar's date when there is a calendar.
+   * @param {number} offset - Days from today.
+   * @returns {string}
    */
-  async _showWeatherChangeDialog() {
-    if (!game.user.isGM) return;
+  _formatDayLabel(offset) {
+    const { secondsPerDay } = this._getTimeConfig();
+    const date = SolunaDialCalendar.getDate(game.time.worldTime + offset * secondsPerDay);
+    return date?.display || game.i18n.format('soluna-dial.forecast.dayOffset', { offset });
+  }
 
-    const currentWeather = this._currentWeather;
-    
-    // Common weather conditions for quick selection
-    const weatherOptions = [
-      'Clear', 'Cloudy', 'Overcast', 'Rainy', 'Stormy', 'Foggy', 
-      'Snowy', 'Windy', 'Hot', 'Cold', 'Humid', 'Dry'
-    ];
+  /**
+   * Shows a dialog for GMs to preview, edit and lock the upcoming days of the forecast.
+   */
+  async _showForecastDialog() {
+    if (!game.user.isGM) return;
+    const forecastDays = game.settings.get(this._moduleId, 'weatherForecastDays');
+    if (!(forecastDays > 0)) {
+      ui.notifications.warn(game.i18n.localize('soluna-dial.forecast.disabled'));
+      return;
+    }
 
-    // Create options HTML
-    const optionsHTML = weatherOptions.map(weather => 
-      `<option value="${weather}" ${weather.toLowerCase() === currentWeather.toLowerCase() ? 'selected' : ''}>${weather}</option>`
-    ).join('');
+    const worldWeather = SolunaDialWeather.getTargetWeather('world') ?? this._currentWeather;
+    let forecast = SolunaDialWeather.fillForecast(SolunaDialWeather.getForecast(), forecastDays, worldWeather);
+    const conditionOptions = Object.keys(SolunaDialWeather.CONDITIONS).map(key => `<option value="${SolunaDialWeather.getConditionLabel(key)}"></option>`).join('');
+    const rowsHTML = forecast.map((day, index) => `
+        <div class="form-group" data-forecast-day="${index}">
+          <label>${this._formatDayLabel(index + 1)}</label>
+          <input type="text" class="forecast-weather" list="soluna-dial-forecast-conditions" value="${Handlebars.escapeExpression(SolunaDialWeather.getConditionLabel(day.weather.condition))}" title="${Handlebars.escapeExpression(SolunaDialWeather.describeState(day.weather, this._temperatureUnit))}">
+          <label class="checkbox"><input type="checkbox" class="forecast-locked" ${day.locked ? 'checked' : ''}> ${game.i18n.localize('soluna-dial.forecast.locked')}</label>
+        </div>`).join('');
 
     const content = `
       <form>
-        <div class="form-group">
-          <label for="weather-select">Quick Select:</label>
-          <select id="weather-select" style="width: 100%; margin-bottom: 10px;">
-            ${optionsHTML}
-          </select>
-        </div>
-        <div class="form-group">
-          <label for="weather-custom">Custom Weather:</label>
-          <input type="text" id="weather-custom" placeholder="Enter custom weather..." style="width: 100%;" value="${currentWeather}">
-        </div>
+        <p class="notes">${game.i18n.format('soluna-dial.forecast.notes', { weather: Handlebars.escapeExpression(SolunaDialWeather.describeState(worldWeather, this._temperatureUnit)) })}</p>
+        <datalist id="soluna-dial-forecast-conditions">${conditionOptions}</datalist>
+        ${rowsHTML}
+        <button type="button" id="forecast-reroll" style="width: 100%;">
+          <i class="fas fa-dice"></i> ${game.i18n.localize('soluna-dial.forecast.reroll')}
+        </button>
       </form>
     `;
 
+    // Keeps each day's details unless its condition was edited, in which case details are rolled for the new condition
+    const readForecast = (html) => {
+      let previous = worldWeather;
+      return html.find('[data-forecast-day]').toArray().map((row, index) => {
+        const condition = $(row).find('.forecast-weather').val().trim();
+        let weather = forecast[index].weather;
+        if (condition && condition.toLowerCase() !== SolunaDialWeather.getConditionLabel(weather.condition).toLowerCase()) {
+          weather = SolunaDialWeather.createState(condition, { previous });
+        }
+        previous = weather;
+        return { weather, locked: $(row).find('.forecast-locked').prop('checked') };
+      });
+    };
+
     new Dialog({
-      title: "Change Weather Condition",
+      title: game.i18n.localize('soluna-dial.settings.weatherForecastMenu.name'),
       content: content,
       buttons: {
-        update: {
-          label: "Update Weather",
-          callback: (html) => {
-            const customInput = html.find('#weather-custom')[0].value.trim();
-            const selectValue = html.find('#weather-select')[0].value;
-            
-            // Use custom input if provided, otherwise use selected value
-            const newWeather = customInput || selectValue;
-            
-            if (newWeather && newWeather !== currentWeather) {
-              // Update local weather first
-              this._currentWeather = newWeather;
-              this.updateWeatherDisplay(newWeather);
-              ui.notifications.info(`Weather changed to: ${newWeather}`);
-              
-              // Save weather to world setting for persistence
-              this._saveWeatherToFlag(newWeather);
-              
-              // Broadcast to all other clients via socket
-              game.socket.emit(`module.${this._moduleId}`, {
-                type: 'weather-update',
-                weather: newWeather,
-                userId: game.user.id // Include sender ID to avoid echo
-              });
-            }
+        save: {
+          label: game.i18n.localize('soluna-dial.forecast.save'),
+          callback: async (html) => {
+            await SolunaDialWeather.setForecast(readForecast(html));
+            ui.notifications.info(game.i18n.localize('soluna-dial.forecast.saved'));
           }
         },
         cancel: {
-          label: "Cancel"
+          label: game.i18n.localize('soluna-dial.common.cancel')
         }
       },
       render: (html) => {
-        // Update custom input when selection changes
-        html.find('#weather-select').change((event) => {
-          html.find('#weather-custom')[0].value = event.target.value;
+        html.find('.forecast-weather').on('input', (event) => {
+          $(event.target).closest('[data-forecast-day]').find('.forecast-locked').prop('checked', true);
+        });
+        html.find('#forecast-reroll').click(() => {
+          forecast = SolunaDialWeather.fillForecast(readForecast(html), forecastDays, worldWeather, { reroll: true });
+          html.find('[data-forecast-day]').each((index, row) => {
+            $(row).find('.forecast-weather')
+              .val(SolunaDialWeather.getConditionLabel(forecast[index].weather.condition))
+              .attr('title', SolunaDialWeather.describeState(forecast[index].weather, this._temperatureUnit));
+          });
         });
       },
-      default: "update"
+      default: "save"
     }).render(true);
   }
 
   /**
-   * Load weather from world setting on initialization
+   * Load weather from world setting on initialization, then show the viewed scene's weather.
+   * Worlds that only have the legacy `currentWeather` string are migrated to a structured state.
    */
   _loadWeatherFromFlag() {
-    const savedWeather = game.settings.get(this._moduleId, 'currentWeather');
+    let savedWeather = SolunaDialWeather.normalizeState(game.settings.get(this._moduleId, 'weatherState'));
+    if (!savedWeather) {
+      const legacyWeather = game.settings.get(this._moduleId, 'currentWeather');
+      savedWeather = SolunaDialWeather.normalizeState(legacyWeather);
+      if (savedWeather && game.user.isGM && game.users.activeGM?.id === game.user.id) {
+        console.log(`${this._moduleId} | Migrating legacy weather '${legacyWeather}' to a structured weather state.`);
+        this._saveWeatherToFlag(savedWeather);
+      }
+    }
     if (savedWeather) {
       this._currentWeather = savedWeather;
-      console.log(`${this._moduleId} | Loaded weather from world setting: ${savedWeather}`);
+      console.log(`${this._moduleId} | Loaded weather from world setting: ${SolunaDialWeather.describeState(savedWeather)}`);
     } else {
-      console.log(`${this._moduleId} | No saved weather found, using default: ${this._currentWeather}`);
+      console.log(`${this._moduleId} | No saved weather found, using default: ${SolunaDialWeather.describeState(this._currentWeather)}`);
     }
     this.updateWeatherDisplay(this._currentWeather);
-    // Force weather text to top after loading
-    this._ensureWeatherTextOnTop();
+    this._refreshSceneWeather();
   }
 
   /**
-   * Save weather to world setting for persistence
+   * Save weather for persistence: the world setting, a region, or a scene flag
+   * @param {object} weather - The weather state.
+   * @param {string} [target='world'] - 'world', 'region.<id>' or 'scene.<id>'.
    */
-  async _saveWeatherToFlag(weather) {
-    try {
-      await game.settings.set(this._moduleId, 'currentWeather', weather);
-      console.log(`${this._moduleId} | Saved weather to world setting: ${weather}`);
-    } catch (error) {
-      console.error(`${this._moduleId} | Error saving weather to world setting:`, error);
-    }
+  async _saveWeatherToFlag(weather, target = 'world') {
+    await SolunaDialWeather.setTargetWeather(target, weather);
+    console.log(`${this._moduleId} | Saved weather for ${target}: ${SolunaDialWeather.describeState(weather)}`);
   }
 
+  /**
+   * Updates the weather text on the dial.
+   * @param {object|string} [newStatus] - A new weather state (or legacy condition string). Omit to re-render the current one.
+   */
   updateWeatherDisplay(newStatus) {
-    if (!this._weatherText) return;
-    if (typeof newStatus === 'string') this._currentWeather = newStatus;
-    this._weatherText.text = this._currentWeather.toUpperCase();
-    
-    // Ensure weather text is visible and on top after update
-    this._ensureWeatherTextOnTop();
+    const newWeather = SolunaDialWeather.normalizeState(newStatus);
+    if (newWeather) {
+      const previousWeather = this._currentWeather;
+      this._currentWeather = newWeather;
+      this._weatherEffects?.setWeather(newWeather);
+      if (JSON.stringify(newWeather) !== JSON.stringify(previousWeather)) {
+        Hooks.callAll('solunaDial.weatherChanged', foundry.utils.deepClone(newWeather), {
+          previous: foundry.utils.deepClone(previousWeather),
+          target: SolunaDialWeather.getSceneTarget(canvas?.scene)
+        });
+      }
+    }
+    if (this._weatherIcon) {
+      this._updateWeatherIcon();
+      this._centerTimeCalendarGroup();
+    }
+    if (this._weatherText) {
+      this._weatherText.text = SolunaDialWeather.formatState(this._currentWeather, this._temperatureUnit);
+    }
+    this._requestRender();
+  }
+
+  /**
+   * Calls the dayChanged hook when world time crosses into a new calendar day, and the periodChanged
+   * hook once for each period boundary crossed, in the order they were crossed.
+   * @param {number} worldTime - The new world time.
+   * @param {number} dt - The change in world time.
+   */
+  _emitTimeHooks(worldTime, dt) {
+    const dayIndex = Math.floor(worldTime / this._getTimeConfig().secondsPerDay);
+    if (this._lastDayIndex !== null && dayIndex !== this._lastDayIndex) {
+      Hooks.callAll('solunaDial.dayChanged', dayIndex, {
+        previousDay: this._lastDayIndex,
+        daysPassed: dayIndex - this._lastDayIndex,
+        worldTime
+      });
+    }
+    this._lastDayIndex = dayIndex;
+
+    const timeOfDay = this.getTimeOfDay();
+    if (this._lastPeriod !== null) {
+      const changes = this._getPeriodChanges(worldTime - (Number(dt) || 0), worldTime);
+      // A new season can move sunrise or sunset past the current time without time crossing a boundary
+      if (changes.length === 0 && timeOfDay.period !== this._lastPeriod) {
+        changes.push({ period: timeOfDay.period, previous: this._lastPeriod, startTime: worldTime });
+      }
+      for (const { period, previous, startTime } of changes) {
+        Hooks.callAll('solunaDial.periodChanged', period, { previous, startTime, timeOfDay });
+      }
+    }
+    this._lastPeriod = timeOfDay.period;
+  }
+
+  /**
+   * Lists the period boundaries (dawn, noon, dusk and midnight, see getTimeOfDay) that a change of world
+   * time crossed, in the order they were crossed. Rewinding enters the period before each boundary.
+   * Today's sunrise and sunset are used for every day of the change, and a change of more than a month
+   * only lists the last month of boundaries.
+   * @param {number} from - The previous world time.
+   * @param {number} to - The new world time.
+   * @returns {Array<{period: string, previous: string, startTime: number}>} startTime is the world time of
+   *   the boundary.
+   */
+  _getPeriodChanges(from, to) {
+    const periods = ['midnight', 'dawn', 'noon', 'dusk'];
+    const { secondsPerDay } = this._getTimeConfig();
+    const { sunrise, sunset } = this._getSunTimes();
+    const nightLength = secondsPerDay - (sunset - sunrise);
+    // Seconds into the day at which each period begins
+    const starts = [(sunset + nightLength / 2) % secondsPerDay, sunrise, (sunrise + sunset) / 2, sunset];
+
+    const forward = to > from;
+    const low = Math.min(from, to);
+    const high = Math.max(from, to);
+    let firstDay = Math.floor(low / secondsPerDay);
+    let lastDay = Math.floor(high / secondsPerDay);
+    if (forward) firstDay = Math.max(firstDay, lastDay - 30);
+    else lastDay = Math.min(lastDay, firstDay + 30);
+
+    const changes = [];
+    for (let day = firstDay; day <= lastDay; day++) {
+      starts.forEach((start, index) => {
+        const startTime = day * secondsPerDay + start;
+        // A boundary belongs to the period it begins, so arriving exactly on it has crossed it
+        if (startTime <= low || startTime > high) return;
+        const before = periods[(index + 3) % 4];
+        changes.push(forward
+          ? { period: periods[index], previous: before, startTime }
+          : { period: before, previous: periods[index], startTime });
+      });
+    }
+    return changes.sort((a, b) => (forward ? a.startTime - b.startTime : b.startTime - a.startTime));
+  }
+
+  // --- Public API ---
+  // Exposed to macros and other modules through the frozen facade built in onReady
+  // (game.modules.get('soluna-dial').api); the instance itself stays internal.
+
+  /**
+   * Returns a copy of the current weather state.
+   * @param {Scene|string} [target] - A scene, or a weather target ('world', 'region.<id>', 'scene.<id>').
+   *   Defaults to the scene this client is viewing.
+   * @returns {{condition: string, temperature: number, wind: {speed: number, direction: string}, precipitation: {type: string, intensity: number}, cloudCover: number, visibility: number}|null}
+   */
+  getWeather(target) {
+    const resolvedTarget = typeof target === 'string' ? target : SolunaDialWeather.getSceneTarget(target ?? canvas?.scene);
+    const weather = SolunaDialWeather.getTargetWeather(resolvedTarget) ?? (target === undefined ? this._currentWeather : null);
+    return weather ? foundry.utils.deepClone(weather) : null;
+  }
+
+  /**
+   * Sets the weather. GM only.
+   * Missing details are rolled for the condition, so `setWeather('rainy')` is enough.
+   * @param {object|string} weather - A full or partial weather state, or a condition key or label.
+   * @param {string} [target='world'] - 'world', 'region.<id>' or 'scene.<id>'.
+   * @returns {object|null} The weather state that was applied, or null if nothing was applied.
+   */
+  setWeather(weather, target = 'world') {
+    if (!game.user.isGM) {
+      console.warn(`${this._moduleId} | Only GMs can set the weather.`);
+      return null;
+    }
+    const newWeather = SolunaDialWeather.normalizeState(weather, { roll: true });
+    if (!newWeather) {
+      console.warn(`${this._moduleId} | Invalid weather passed to setWeather:`, weather);
+      return null;
+    }
+    this._applyWeather(newWeather, target);
+    return foundry.utils.deepClone(newWeather);
+  }
+
+  /**
+   * Advances (or with a negative amount, rewinds) world time in units of the active calendar. GM only.
+   * @param {number} amount - How many units to advance.
+   * @param {string} [unit='seconds'] - 'seconds', 'minutes', 'hours' or 'days'.
+   * @returns {Promise<number|null>} The new world time, or null if time was not changed.
+   */
+  async advanceTime(amount, unit = 'seconds') {
+    if (!game.user.isGM) {
+      console.warn(`${this._moduleId} | Only GMs can advance time.`);
+      return null;
+    }
+    const { secondsInMinute, secondsPerHour, secondsPerDay } = this._getTimeConfig();
+    const unitSeconds = { seconds: 1, minutes: secondsInMinute, hours: secondsPerHour, days: secondsPerDay }[unit];
+    if (!unitSeconds || !Number.isFinite(amount)) {
+      console.warn(`${this._moduleId} | Invalid advanceTime arguments: ${amount} ${unit}`);
+      return null;
+    }
+    return game.time.advance(amount * unitSeconds);
+  }
+
+  /**
+   * Whether the real-time clock is switched on. It may still be held by a paused game or a combat.
+   * @returns {boolean}
+   */
+  isClockRunning() {
+    return SolunaDialClock.getState().running;
   }
 
   /**
-   * Ensures weather text is always on top of all other elements
+   * Starts or stops the real-time clock. GM only.
+   * @param {boolean} running - Whether game time should run on its own.
+   * @returns {Promise<void>}
    */
-  _ensureWeatherTextOnTop() {
-    if (this._weatherText && this._mainContainer) {
-      this._mainContainer.setChildIndex(this._weatherText, this._mainContainer.children.length - 1);
-      // Also ensure it's visible
-      this._weatherText.visible = true;
-      this._weatherText.alpha = this._globalFontOpacity;
-      console.log(`${this._moduleId} | Weather text moved to top, z-index: ${this._mainContainer.children.length - 1}`);
+  setClockRunning(running) {
+    if (!game.user.isGM) {
+      console.warn(`${this._moduleId} | Only GMs can start or stop the clock.`);
+      return Promise.resolve();
     }
+    return SolunaDialClock.setRunning(running);
+  }
+
+  /**
+   * Returns the current time of day in the active calendar.
+   * period is the most recent of the day's four marks: 'dawn' (sunrise), 'noon' (midway between sunrise
+   * and sunset), 'dusk' (sunset) or 'midnight' (midway between sunset and sunrise).
+   * @returns {{hours: number, minutes: number, seconds: number, secondsIntoDay: number, dayFraction: number, sunrise: number, sunset: number, isDaytime: boolean, period: string}}
+   */
+  getTimeOfDay() {
+    const timeOfDay = this._getTimeOfDay();
+    const { sunrise, sunset } = this._getSunTimes();
+    const solarFraction = this._getSolarDayFraction(timeOfDay.secondsIntoDay);
+    const periods = ['midnight', 'dawn', 'noon', 'dusk'];
+    return {
+      ...timeOfDay,
+      sunrise,
+      sunset,
+      isDaytime: timeOfDay.secondsIntoDay >= sunrise && timeOfDay.secondsIntoDay < sunset,
+      period: periods[Math.floor(solarFraction * 4) % 4]
+    };
+  }
+
+  /**
+   * Shows the HUD on this client.
+   */
+  show() {
+    return game.settings.set(this._moduleId, 'masterHudToggle', true);
+  }
+
+  /**
+   * Hides the HUD on this client.
+   */
+  hide() {
+    return game.settings.set(this._moduleId, 'masterHudToggle', false);
   }
 
   static onReady() {
     console.log('Soluna Dial | Foundry VTT is ready.'); // Updated log
-    if (!game.modules.get('soluna-dial').api) { // Updated module ID
+    const dialModule = game.modules.get('soluna-dial');
+    if (!dialModule._dial) {
       const hudAPI = new SolunaDial(); // Constructor now handles initial scale and draw
-      game.modules.get('soluna-dial').api = hudAPI; // Updated module ID
+      // Settings handlers reach the instance through _dial; everyone else only gets the facade.
+      dialModule._dial = hudAPI;
+      dialModule.api = Object.freeze({
+        getWeather: target => hudAPI.getWeather(target),
+        setWeather: (weather, target) => hudAPI.setWeather(weather, target),
+        advanceTime: (amount, unit) => hudAPI.advanceTime(amount, unit),
+        isClockRunning: () => hudAPI.isClockRunning(),
+        setClockRunning: running => hudAPI.setClockRunning(running),
+        getTimeOfDay: () => hudAPI.getTimeOfDay(),
+        show: () => hudAPI.show(),
+        hide: () => hudAPI.hide()
+      });
       
-      // Apply initial settings that might have been changed before this load
-      // RESTORING THE ARRAY, with globalUiSize first
+      // Apply initial settings that might have been changed before this load, GM-locked values first.
+      // Rebuilds the setters ask for wait for the first frame, so each part is built once.
       const settingsToApply = [
-          'globalUiSize', // Moved to the front for testing
-          'masterHudToggle', 'hudTopPadding', 'globalFontFamily', 'globalFontOpacity', 'topBarOpacity',
-          'toggleCalendarDisplay', 'toggleSecondsDisplay', 'dialImageOpacity', 'toggleDialMarker', 
-          'dialMarkerColor', 'dialMarkerOpacity', 'toggleWeatherDisplay', 'customDialImage', 'customDialImageScale', 'customDialImageAngleOffset'
+          'globalUiSize',
+          'masterHudToggle', 'compactMode', 'hudTopPadding', 'hudAnchor', 'globalFontFamily', 'globalFontOpacity', 'topBarOpacity',
+          'toggleCalendarDisplay', 'toggleSecondsDisplay', 'timeFormat', 'dateFormat', 'dialImageOpacity', 'toggleDialMarker', 
+          'dialMarkerColor', 'dialMarkerOpacity', 'toggleWeatherDisplay', 'temperatureUnit', 'showEventPins', 'weatherEffects', 'reducedMotion', 'dialStyle', 'customDialImage', 'customDialImageScale', 'customDialImageAngleOffset'
       ];
       settingsToApply.forEach(key => {
-          const value = game.settings.get(hudAPI._moduleId, key);
+          const value = SolunaDialSettings.get(key);
           const setterName = `set${key.charAt(0).toUpperCase() + key.slice(1)}`;
-
-          // <<< ADDING DIAGNOSTIC LOGGING HERE >>>
-          console.log(`${hudAPI._moduleId} | Applying setting from onReady: key='${key}', value='${value}' (type: ${typeof value}), setter='${setterName}'`);
-
           if (typeof value !== 'undefined' && typeof hudAPI[setterName] === 'function') {
               try {
                   hudAPI[setterName](value);
@@ -757,14 +1802,25 @@ class SolunaDial {
               console.log(`${hudAPI._moduleId} | Value for setting key '${key}' is undefined (likely not registered or no default). Skipping application.`);
           }
       });
-      
-      // Ensure weather is loaded and displayed correctly for all users
-      setTimeout(() => {
-        hudAPI._loadWeatherFromFlag();
-      }, 200);
     }
   }
 
+  /**
+   * Reapplies settings with this client's effective values, e.g. after the GM changed which settings are locked.
+   * @param {string[]} keys - The setting keys.
+   */
+  _applySettings(keys) {
+    keys.forEach(key => {
+      const setterName = `set${key.charAt(0).toUpperCase() + key.slice(1)}`;
+      if (typeof this[setterName] !== 'function') return;
+      try {
+        this[setterName](SolunaDialSettings.get(key));
+      } catch (e) {
+        console.error(`${this._moduleId} | Error applying setting '${key}':`, e);
+      }
+    });
+  }
+
   setMasterHudToggle(visible) {
     // This is handled by the static onReady and the settings hook in SolunaDialSettings
     // If called on an instance, it should reflect the master toggle logic
@@ -776,39 +1832,169 @@ class SolunaDial {
             this._pixiApp.view.classList.add('soluna-dial-hidden');
             // this._pixiApp.view.remove(); // Alternative: fully remove from DOM
         }
-    } else if (visible && !this._pixiApp) {
-        // This case means the HUD should be visible but doesn't exist yet.
-        // It will be handled by the static onReady or settings system creating the instance.
-        console.log(`${this._moduleId} | Master HUD toggle true, instance will be created by core logic if not present.`);
+        // Animated weather pauses while the HUD is hidden and picks up again when it is shown
+        this._requestRender();
     }
-    console.log(`${this._moduleId} | Master HUD visibility instructed to: ${visible}`);
+  }
+
+  /**
+   * Applies the world's theme, restyling the HUD in place.
+   */
+  setTheme() {
+    this._theme = SolunaDialThemes.getActiveTheme();
+    this._invalidate('styles');
   }
 
   setGlobalFontFamily(fontFamily) {
-    if (typeof fontFamily === 'string' && fontFamily.trim() !== '') {
-      this._globalFontFamily = fontFamily;
-      // Font change requires full redraw of text elements
-      this._redrawAllElements(); 
-      this.updateTimeDisplay(); 
-      this.updateCalendarDisplay();
-      this.updateWeatherDisplay();
-      this._updateDialRotation();
-      console.log(`${this._moduleId} | Global font set to: ${fontFamily}`);
-    } else {
+    if (typeof fontFamily === 'string') {
       // Handle empty font family gracefully by using default
-      if (fontFamily === '') {
-        this._globalFontFamily = 'Signika'; // Use default font
-        console.log(`${this._moduleId} | Empty font family provided, using default: Signika`);
-      } else {
-        console.warn(`${this._moduleId} | Invalid font family: ${fontFamily}`);
-      }
+      this._globalFontFamily = fontFamily.trim() !== '' ? fontFamily : this.DEFAULT_FONT_FAMILY;
+      this._invalidate('styles');
+    } else {
+      console.warn(`${this._moduleId} | Invalid font family: ${fontFamily}`);
     }
   }
 
   setHudTopPadding(paddingString) {
     // Use CSS variable for dynamic top padding
     document.documentElement.style.setProperty('--soluna-dial-top-padding', paddingString);
-    console.log(`${this._moduleId} | HUD top padding CSS variable set to: ${paddingString}`);
+  }
+
+  /**
+   * Switches between compact mode, which shows only the time bar, and the full HUD.
+   * Expanding reveals the dial from the time bar downwards.
+   * @param {boolean} compact - True for compact mode.
+   */
+  setCompactMode(compact) {
+    const wasCompact = this._compactMode;
+    this._compactMode = !!compact;
+    const view = this._pixiApp?.view;
+    if (!view) return;
+    this._pixiApp.renderer.resize(this.HUD_WIDTH, this._getHudHeight());
+    view.style.width = `${this.HUD_WIDTH}px`;
+    view.style.height = `${this._getHudHeight()}px`;
+    this._updateWeatherIcon();
+    this._centerTimeCalendarGroup();
+
+    if (wasCompact && !this._compactMode) {
+      view.classList.remove('soluna-dial-expanding');
+      view.style.clipPath = `inset(0 0 ${this.MAIN_HUD_AREA_HEIGHT}px 0)`;
+      void view.offsetHeight; // Apply the clipped start before transitioning
+      view.classList.add('soluna-dial-expanding');
+      view.style.clipPath = 'inset(0 0 0 0)';
+      const finish = () => {
+        view.removeEventListener('transitionend', finish);
+        view.removeEventListener('transitioncancel', finish);
+        view.classList.remove('soluna-dial-expanding');
+        view.style.clipPath = '';
+      };
+      // With reduced motion the stylesheet turns the transition off, and no transitionend follows
+      if (parseFloat(getComputedStyle(view).transitionDuration) > 0) {
+        view.addEventListener('transitionend', finish);
+        view.addEventListener('transitioncancel', finish);
+      } else {
+        finish();
+      }
+    }
+    this._applyHudPosition(); // The taller HUD may need pulling back inside the viewport
+  }
+
+  /**
+   * Sets where the HUD is placed.
+   * @param {string} anchor - 'top-left', 'top-center', 'top-right', 'bottom-center', or 'custom' for the
+   *   position saved by dragging.
+   */
+  setHudAnchor(anchor) {
+    const anchors = ['top-left', 'top-center', 'top-right', 'bottom-center', 'custom'];
+    this._hudAnchor = anchors.includes(anchor) ? anchor : 'top-center';
+    this._applyHudPosition();
+  }
+
+  /**
+   * Places the HUD at its anchor preset, or at its saved position clamped to the viewport.
+   */
+  _applyHudPosition() {
+    const view = this._pixiApp?.view;
+    if (!view || this._hudDrag?.moved) return;
+    view.classList.forEach(className => {
+      if (className.startsWith('soluna-dial-anchor-')) view.classList.remove(className);
+    });
+    view.classList.add(`soluna-dial-anchor-${this._hudAnchor}`);
+    if (this._hudAnchor !== 'custom') {
+      view.style.left = '';
+      view.style.top = '';
+      return;
+    }
+    const saved = game.settings.get(this._moduleId, 'hudPosition') ?? {};
+    const { left, top } = this._clampHudPosition(Number(saved.left) || 0, Number(saved.top) || 0);
+    view.style.left = `${left}px`;
+    view.style.top = `${top}px`;
+  }
+
+  /**
+   * Clamps a HUD position so the whole HUD stays inside the viewport.
+   * @param {number} left - Left edge in CSS pixels.
+   * @param {number} top - Top edge in CSS pixels.
+   * @returns {{left: number, top: number}}
+   */
+  _clampHudPosition(left, top) {
+    const view = this._pixiApp.view;
+    const width = view.offsetWidth || this.HUD_WIDTH;
+    const height = view.offsetHeight || this.TOTAL_HUD_HEIGHT;
+    return {
+      left: Math.round(Math.min(Math.max(0, left), Math.max(0, window.innerWidth - width))),
+      top: Math.round(Math.min(Math.max(0, top), Math.max(0, window.innerHeight - height)))
+    };
+  }
+
+  /**
+   * Begins dragging the HUD by its time bar. The drag only starts once the pointer has moved a few
+   * pixels, so plain clicks on the bar are unaffected. The final position is saved for this client.
+   * @param {PIXI.FederatedPointerEvent} event - The pointerdown event.
+   */
+  _startHudDrag(event) {
+    const view = this._pixiApp?.view;
+    if (!view || !Number.isFinite(event?.clientX) || event.button > 0) return;
+    const rect = view.getBoundingClientRect();
+    this._hudDrag = {
+      startX: event.clientX,
+      startY: event.clientY,
+      offsetX: event.clientX - rect.left,
+      offsetY: event.clientY - rect.top,
+      moved: false
+    };
+
+    const onMove = (moveEvent) => {
+      const drag = this._hudDrag;
+      if (!drag) return;
+      if (!drag.moved) {
+        if (Math.hypot(moveEvent.clientX - drag.startX, moveEvent.clientY - drag.startY) < 4) return;
+        drag.moved = true;
+        view.classList.forEach(className => {
+          if (className.startsWith('soluna-dial-anchor-')) view.classList.remove(className);
+        });
+        view.classList.add('soluna-dial-anchor-custom', 'soluna-dial-dragging');
+      }
+      const { left, top } = this._clampHudPosition(moveEvent.clientX - drag.offsetX, moveEvent.clientY - drag.offsetY);
+      view.style.left = `${left}px`;
+      view.style.top = `${top}px`;
+    };
+    const onUp = async () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+      const drag = this._hudDrag;
+      this._hudDrag = null;
+      view.classList.remove('soluna-dial-dragging');
+      if (!drag?.moved) return;
+      await game.settings.set(this._moduleId, 'hudPosition', {
+        left: parseFloat(view.style.left) || 0,
+        top: parseFloat(view.style.top) || 0
+      });
+      await game.settings.set(this._moduleId, 'hudAnchor', 'custom');
+      this._applyHudPosition();
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
   }
 
   setTopBarOpacity(alpha) {
@@ -827,14 +2013,39 @@ class SolunaDial {
   }
 
   setToggleWeatherDisplay(visible) {
+    this._weatherDisplayEnabled = !!visible;
+    if (this._weatherIcon) {
+      this._updateWeatherIcon();
+      this._centerTimeCalendarGroup();
+    }
     if (this._weatherText) {
       this._weatherText.visible = !!visible;
-      // console.log(`${this._moduleId} | Weather display visibility set to: ${visible}`);
     }
+    this._requestRender();
+  }
+
+  /**
+   * Sets the unit temperatures are displayed in.
+   * @param {string} unit - 'C' or 'F'.
+   */
+  setTemperatureUnit(unit) {
+    this._temperatureUnit = unit === 'F' ? 'F' : 'C';
+    this.updateWeatherDisplay();
+  }
+
+  /**
+   * Shows or hides the pins of scheduled calendar notes.
+   * @param {boolean} visible - Whether to show the pins.
+   */
+  setShowEventPins(visible) {
+    this._showEventPins = !!visible;
+    if (this._eventPinContainer) this._eventPinContainer.visible = this._showEventPins;
+    this._updateEventPins();
   }
 
   setToggleDialMarker(visible) {
     if (this._dialMarker) this._dialMarker.visible = !!visible;
+    this._requestRender();
   }
 
   setDialImageOpacity(alpha) {
@@ -843,7 +2054,10 @@ class SolunaDial {
       if (this._dialGradientSprite) {
         this._dialGradientSprite.alpha = this._dialImageOpacity;
       }
-      console.log(`${this._moduleId} | Dial image opacity set to: ${alpha}`);
+      if (this._sky) {
+        this._sky.container.alpha = this._dialImageOpacity;
+      }
+      this._requestRender();
     } else {
       console.warn(`${this._moduleId} | Invalid Dial Image Opacity value: ${alpha}. Type: ${typeof alpha}`);
     }
@@ -869,6 +2083,7 @@ class SolunaDial {
     if (this._dialMarker) { // Redraw to apply new color
         this._drawDialMarker();
     }
+    this._updateEventPins(); // Pins share the marker color
   }
 
   setDialMarkerOpacity(alpha) {
@@ -877,6 +2092,7 @@ class SolunaDial {
       if (this._dialMarker) { // Redraw to apply new opacity
           this._drawDialMarker();
       }
+      this._updateEventPins();
     } else {
       console.warn(`${this._moduleId} | Invalid Dial Marker Opacity value: ${alpha}. Type: ${typeof alpha}`);
     }
@@ -884,34 +2100,28 @@ class SolunaDial {
 
   /**
    * Sets the global scale of the entire HUD, recalculates dimensions, 
-   * resizes the PIXI app, and redraws all elements.
+   * resizes the PIXI app, and rebuilds everything sized by the scale before the next frame.
    * @param {number} scale - The scale factor (e.g., 1.0 for 100%, 0.8 for 80%).
    */
   setGlobalUiSize(scale) {
     if (typeof scale === 'number' && scale > 0) {
-      // if (this._globalUiScale === scale) return; // No change // <<< REMOVED THIS LINE FOR TESTING
-
-      console.log(`${this._moduleId} | Setting Global UI Size to: ${scale}`);
+      if (this._globalUiScale === scale) return; // No change
       this._globalUiScale = scale;
       this._calculateScaledDimensions();
       
       if (this._pixiApp) { // Resize renderer if app exists
-          this._pixiApp.renderer.resize(this.HUD_WIDTH, this.TOTAL_HUD_HEIGHT);
+          this._pixiApp.renderer.resize(this.HUD_WIDTH, this._getHudHeight());
           // Also update the canvas style if it's explicitly set, to match renderer
           this._pixiApp.view.style.width = `${this.HUD_WIDTH}px`;
-          this._pixiApp.view.style.height = `${this.TOTAL_HUD_HEIGHT}px`;
+          this._pixiApp.view.style.height = `${this._getHudHeight()}px`;
       } else {
           // This case should ideally not be hit if onReady always creates the app first
           console.warn(`${this._moduleId} | PIXI App not initialized before scaling.`);
           this._initPIXIApp(); // Initialize with new dimensions if it wasn't
       }
       
-      this._redrawAllElements();
-      // After redrawing, ensure content is up-to-date
-      this.updateTimeDisplay();
-      this.updateCalendarDisplay();
-      this.updateWeatherDisplay();
-      this._updateDialRotation(); // Dial rotation doesn't depend on scale but good to keep updates together
+      this._invalidate('layout');
+      this._applyHudPosition(); // A larger HUD may no longer fit at its saved position
 
     } else {
       console.warn(`${this._moduleId} | Invalid Global UI Size value: ${scale}`);
@@ -927,13 +2137,14 @@ class SolunaDial {
       this._globalFontOpacity = alpha;
       const textElements = [
         this._timeText, this._calendarText, this._timeCalendarSeparator, 
-        this._weatherText, this._rewindHourButton, this._rewindDayButton,
-        this._advanceHourButton, this._advanceDayButton
+        this._weatherText, ...this._timeAdvanceButtons
       ];
+      this._updateClockButton();
+      this._updateWeatherIcon();
       textElements.forEach(el => {
         if (el) el.alpha = this._globalFontOpacity;
       });
-      // console.log(`${this._moduleId} | Global font opacity set to: ${alpha}`);
+      this._requestRender();
     } else {
       console.warn(`${this._moduleId} | Invalid Global Font Opacity value: ${alpha}. Type: ${typeof alpha}`);
     }
@@ -949,14 +2160,69 @@ class SolunaDial {
     // console.log(`${this._moduleId} | Display seconds set to: ${this._displaySeconds}`);
   }
 
+  /**
+   * Sets the template the time is drawn with.
+   * @param {string} format - A time template, see {@link SolunaDialFormat}. Empty uses the default.
+   */
+  setTimeFormat(format) {
+    this._timeFormat = String(format ?? '');
+    this.updateTimeDisplay();
+  }
+
+  /**
+   * Sets the template the calendar date is drawn with.
+   * @param {string} format - A date template, see {@link SolunaDialFormat}. Empty uses the default.
+   */
+  setDateFormat(format) {
+    this._dateFormat = String(format ?? '');
+    this.updateCalendarDisplay();
+  }
+
+  /**
+   * Sets how much weather is drawn inside the dial on this client.
+   * @param {string} level - 'full', 'performance' (fewer particles, no blur) or 'off'.
+   */
+  setWeatherEffects(level) {
+    this._weatherEffectsLevel = level;
+    this._weatherEffects?.setOptions({ level });
+    this._requestRender();
+  }
+
+  /**
+   * Sets whether the weather effects are drawn still, without movement or lightning flashes.
+   * @param {boolean} reduced - Whether to reduce motion.
+   */
+  setReducedMotion(reduced) {
+    this._reducedMotion = !!reduced;
+    this._weatherEffects?.setOptions({ reducedMotion: this._reducedMotion });
+    this._requestRender();
+  }
+
+  /**
+   * Switches between the dial image and the procedural sky.
+   * @param {string} style - 'image' or 'sky'.
+   */
+  setDialStyle(style) {
+    this._dialStyle = style === 'sky' ? 'sky' : 'image';
+    this._invalidate('dial');
+  }
+
+  /**
+   * Rereads the procedural sky's color stops and recolors the sky.
+   */
+  setSkyColors() {
+    if (!this._sky) return;
+    this._sky.colors = SolunaDialSky.getColors();
+    this._sky.color = null;
+    this._updateDialRotation();
+  }
+
   /**
    * Sets the custom dial image path.
    * @param {string} imagePath - The path to the custom dial image.
    */
   setCustomDialImage(imagePath) {
-    console.log(`${this._moduleId} | Custom dial image set to: ${imagePath || 'default'}`);
-    // Recreate the dial with the new image
-    this._createDialGradientAndMask();
+    this._invalidate('dial');
   }
 
   /**
@@ -965,9 +2231,7 @@ class SolunaDial {
    */
   setCustomDialImageScale(scale) {
     if (typeof scale === 'number' && scale > 0) {
-      console.log(`${this._moduleId} | Custom dial image scale set to: ${scale}`);
-      // Recreate the dial with the new scale
-      this._createDialGradientAndMask();
+      this._invalidate('dial');
     } else {
       console.warn(`${this._moduleId} | Invalid custom dial image scale: ${scale}`);
     }
@@ -979,7 +2243,6 @@ class SolunaDial {
    */
   setCustomDialImageAngleOffset(angle) {
     if (typeof angle === 'number' && angle >= 0 && angle <= 360) {
-      console.log(`${this._moduleId} | Custom dial image angle offset set to: ${angle} degrees`);
       // Update the dial rotation with the new offset
       this._updateDialRotation();
     } else {
@@ -994,6 +2257,13 @@ Hooks.once('init', () => {
   } else {
     console.error('Soluna Dial | SolunaDialSettings class or registerSettings method not found!'); // Updated log
   }
+  // Let other modules add providers for their calendars
+  Hooks.callAll('solunaDial.registerCalendarProviders', SolunaDialCalendar);
 });
 
+Hooks.on('renderSceneConfig', SolunaDialWeather.onRenderSceneConfig);
+Hooks.on('renderSettingsConfig', SolunaDialSettings.onRenderSettingsConfig);
+Hooks.on('renderSettingsConfig', SolunaDialFormat.onRenderSettingsConfig);
+Hooks.on('renderSceneConfig', SolunaDialDarkness.onRenderSceneConfig);
+
 Hooks.once('ready', SolunaDial.onReady); // Updated class name 
\ No newline at end of file
@@ -0,0 +1,374 @@
+import { SolunaDialJsonEditor } from './solunaDialJsonEditor.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * A small calendar engine for worlds without a calendar module, driven by a calendar definition:
+ *
+ * - `time`: `{hoursInDay, minutesInHour, secondsInMinute}`.
+ * - `epochYear`: the year that starts at world time 0, and `epochWeekday`: the index of its first weekday.
+ * - `yearPrefix`, `yearPostfix`: text around the year number, e.g. " DR".
+ * - `leapYear`: `{rule: 'none'}`, `{rule: 'gregorian'}`, or `{rule: 'interval', interval, offset}` for a
+ *   leap year whenever (year - offset) is a multiple of interval.
+ * - `weekdays`: weekday names.
+ * - `months`: `{name, days, leapDays, intercalary}` in order. Intercalary months are festival days
+ *   outside the months and weeks: they have no month number of their own and no weekday. A month of
+ *   0 days with leapDays only exists in leap years.
+ * - `seasons`: `{name, month, day, sunrise, sunset}`, starting on a month number and day, with sunrise
+ *   and sunset in hours.
+ * - `moons`: `{name, color, cycleLength, firstNewMoon}`, the cycle length and the first new moon in
+ *   days from world time 0.
+ *
+ * Names may be translation keys.
+ */
+export class SolunaDialBuiltinCalendar {
+  /**
+   * The built-in calendars.
+   * @type {Object<string, object>}
+   */
+  static PRESETS = {
+    gregorian: {
+      name: 'Gregorian',
+      time: { hoursInDay: 24, minutesInHour: 60, secondsInMinute: 60 },
+      epochYear: 2000,
+      epochWeekday: 6, // 1 January 2000 was a Saturday
+      yearPrefix: '',
+      yearPostfix: '',
+      leapYear: { rule: 'gregorian' },
+      weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+        .map(day => `soluna-dial.builtinCalendar.gregorian.${day}`),
+      months: [
+        ['january', 31], ['february', 28, 1], ['march', 31], ['april', 30], ['may', 31], ['june', 30],
+        ['july', 31], ['august', 31], ['september', 30], ['october', 31], ['november', 30], ['december', 31]
+      ].map(([month, days, leapDays = 0]) => ({ name: `soluna-dial.builtinCalendar.gregorian.${month}`, days, leapDays })),
+      seasons: [
+        { name: 'Spring', month: 3, day: 20, sunrise: 6, sunset: 18 },
+        { name: 'Summer', month: 6, day: 21, sunrise: 5, sunset: 21 },
+        { name: 'Autumn', month: 9, day: 22, sunrise: 7, sunset: 19 },
+        { name: 'Winter', month: 12, day: 21, sunrise: 8, sunset: 16 }
+      ],
+      // The new moon of 6 January 2000
+      moons: [{ name: 'soluna-dial.moons.defaultName', color: '#FFFFFF', cycleLength: 29.53059, firstNewMoon: 5.76 }]
+    },
+    harptos: {
+      name: 'Harptos',
+      time: { hoursInDay: 24, minutesInHour: 60, secondsInMinute: 60 },
+      epochYear: 1492,
+      epochWeekday: 0,
+      yearPrefix: '',
+      yearPostfix: ' DR',
+      leapYear: { rule: 'interval', interval: 4, offset: 0 },
+      weekdays: ['First-day', 'Second-day', 'Third-day', 'Fourth-day', 'Fifth-day', 'Sixth-day', 'Seventh-day', 'Eighth-day', 'Ninth-day', 'Tenth-day'],
+      months: [
+        { name: 'Hammer', days: 30 },
+        { name: 'Midwinter', days: 1, intercalary: true },
+        { name: 'Alturiak', days: 30 },
+        { name: 'Ches', days: 30 },
+        { name: 'Tarsakh', days: 30 },
+        { name: 'Greengrass', days: 1, intercalary: true },
+        { name: 'Mirtul', days: 30 },
+        { name: 'Kythorn', days: 30 },
+        { name: 'Flamerule', days: 30 },
+        { name: 'Midsummer', days: 1, intercalary: true },
+        { name: 'Shieldmeet', days: 0, leapDays: 1, intercalary: true },
+        { name: 'Eleasis', days: 30 },
+        { name: 'Eleint', days: 30 },
+        { name: 'Highharvestide', days: 1, intercalary: true },
+        { name: 'Marpenoth', days: 30 },
+        { name: 'Uktar', days: 30 },
+        { name: 'The Feast of the Moon', days: 1, intercalary: true },
+        { name: 'Nightal', days: 30 }
+      ],
+      seasons: [
+        { name: 'Spring', month: 3, day: 19, sunrise: 6, sunset: 18 },
+        { name: 'Summer', month: 6, day: 20, sunrise: 5, sunset: 21 },
+        { name: 'Autumn', month: 9, day: 21, sunrise: 7, sunset: 19 },
+        { name: 'Winter', month: 12, day: 20, sunrise: 8, sunset: 16 }
+      ],
+      // Selûne's cycle fits the four-year leap cycle exactly, so she is full on every 1 Hammer
+      moons: [{ name: 'Selûne', color: '#E8ECFF', cycleLength: 30.4375, firstNewMoon: -15.21875 }]
+    },
+    golarion: {
+      name: 'Golarion',
+      time: { hoursInDay: 24, minutesInHour: 60, secondsInMinute: 60 },
+      epochYear: 4725,
+      epochWeekday: 0,
+      yearPrefix: '',
+      yearPostfix: ' AR',
+      leapYear: { rule: 'interval', interval: 8, offset: 0 },
+      weekdays: ['Moonday', 'Toilday', 'Wealday', 'Oathday', 'Fireday', 'Starday', 'Sunday'],
+      months: [
+        { name: 'Abadius', days: 31 },
+        { name: 'Calistril', days: 28, leapDays: 1 },
+        { name: 'Pharast', days: 31 },
+        { name: 'Gozran', days: 30 },
+        { name: 'Desnus', days: 31 },
+        { name: 'Sarenith', days: 30 },
+        { name: 'Erastus', days: 31 },
+        { name: 'Arodus', days: 31 },
+        { name: 'Rova', days: 30 },
+        { name: 'Lamashan', days: 31 },
+        { name: 'Neth', days: 30 },
+        { name: 'Kuthona', days: 31 }
+      ],
+      seasons: [
+        { name: 'Spring', month: 3, day: 1, sunrise: 6, sunset: 18 },
+        { name: 'Summer', month: 6, day: 1, sunrise: 5, sunset: 21 },
+        { name: 'Autumn', month: 9, day: 1, sunrise: 7, sunset: 19 },
+        { name: 'Winter', month: 12, day: 1, sunrise: 8, sunset: 16 }
+      ],
+      moons: [{ name: 'Somal', color: '#FFFFFF', cycleLength: 29.5, firstNewMoon: 0 }]
+    }
+  };
+
+  /**
+   * Phase names of a moon cycle, split in eight equal parts starting at new moon.
+   * @type {string[]}
+   */
+  static MOON_PHASES = ['new', 'waxingCrescent', 'firstQuarter', 'waxingGibbous', 'full', 'waningGibbous', 'lastQuarter', 'waningCrescent'];
+
+  /**
+   * The normalized active calendar, or null when none is selected. Cleared when the calendar settings change.
+   * @type {object|null|undefined}
+   * @private
+   */
+  static _active = undefined;
+
+  /**
+   * Checks a calendar definition and fills in what it leaves out.
+   * @param {object} definition - A calendar definition.
+   * @returns {object} The normalized definition.
+   * @throws {Error} When the definition cannot be used.
+   */
+  static normalize(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(game.i18n.localize('soluna-dial.builtinCalendar.errors.notAnObject'));
+    }
+    const count = (value, fallback = 0) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Math.floor(Number(value)) : fallback);
+
+    const months = (Array.isArray(definition.months) ? definition.months : []).map(month => ({
+      name: String(month?.name ?? ''),
+      days: count(month?.days),
+      leapDays: count(month?.leapDays),
+      intercalary: !!month?.intercalary
+    }));
+    if (!months.some(month => !month.intercalary && month.days > 0)) {
+      throw new Error(game.i18n.localize('soluna-dial.builtinCalendar.errors.noMonths'));
+    }
+
+    const leapYear = definition.leapYear ?? {};
+    const rule = ['gregorian', 'interval'].includes(leapYear.rule) ? leapYear.rule : 'none';
+    if (rule === 'interval' && !(count(leapYear.interval) > 0)) {
+      throw new Error(game.i18n.localize('soluna-dial.builtinCalendar.errors.leapInterval'));
+    }
+
+    const time = definition.time ?? {};
+    return {
+      name: String(definition.name ?? ''),
+      time: {
+        hoursInDay: count(time.hoursInDay) || 24,
+        minutesInHour: count(time.minutesInHour) || 60,
+        secondsInMinute: count(time.secondsInMinute) || 60
+      },
+      epochYear: Math.floor(Number(definition.epochYear)) || 0,
+      epochWeekday: count(definition.epochWeekday),
+      yearPrefix: String(definition.yearPrefix ?? ''),
+      yearPostfix: String(definition.yearPostfix ?? ''),
+      leapYear: { rule, interval: count(leapYear.interval, 1), offset: Math.floor(Number(leapYear.offset)) || 0 },
+      weekdays: (Array.isArray(definition.weekdays) ? definition.weekdays : []).map(String),
+      months,
+      seasons: (Array.isArray(definition.seasons) ? definition.seasons : [])
+        .filter(season => season?.name && count(season.month) > 0)
+        .map(season => ({
+          name: String(season.name),
+          month: count(season.month),
+          day: count(season.day, 1) || 1,
+          sunrise: Number.isFinite(Number(season.sunrise)) ? Number(season.sunrise) : undefined,
+          sunset: Number.isFinite(Number(season.sunset)) ? Number(season.sunset) : undefined
+        })),
+      moons: (Array.isArray(definition.moons) ? definition.moons : [])
+        .filter(moon => Number(moon?.cycleLength) > 0)
+        .map(moon => ({
+          name: String(moon.name ?? ''),
+          color: String(moon.color ?? '#FFFFFF'),
+          cycleLength: Number(moon.cycleLength),
+          firstNewMoon: Number(moon.firstNewMoon) || 0
+        }))
+    };
+  }
+
+  /**
+   * Returns the calendar selected in the world settings, normalized, or null when the built-in
+   * calendar is off or the custom calendar cannot be used.
+   * @returns {object|null}
+   */
+  static getActiveCalendar() {
+    if (SolunaDialBuiltinCalendar._active !== undefined) return SolunaDialBuiltinCalendar._active;
+    const selected = game.settings.get(MODULE_ID, 'builtinCalendar');
+    let active = null;
+    if (selected !== 'none') {
+      const definition = selected === 'custom' ? game.settings.get(MODULE_ID, 'customCalendar') : SolunaDialBuiltinCalendar.PRESETS[selected];
+      try {
+        active = SolunaDialBuiltinCalendar.normalize(definition);
+      } catch (e) {
+        console.warn(`${MODULE_ID} | The built-in calendar cannot be used: ${e.message}`);
+        if (game.user?.isGM) ui.notifications.warn(game.i18n.format('soluna-dial.builtinCalendar.invalid', { error: e.message }));
+      }
+    }
+    SolunaDialBuiltinCalendar._active = active;
+    return active;
+  }
+
+  /**
+   * Forgets the active calendar after its settings changed and tells the dial to redraw the date.
+   */
+  static onSettingChange() {
+    SolunaDialBuiltinCalendar._active = undefined;
+    Hooks.callAll('solunaDial.calendarChanged');
+  }
+
+  /**
+   * Whether a year is a leap year.
+   * @param {object} calendar - A normalized calendar.
+   * @param {number} year - The year.
+   * @returns {boolean}
+   */
+  static isLeapYear(calendar, year) {
+    const { rule, interval, offset } = calendar.leapYear;
+    if (rule === 'gregorian') return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    if (rule === 'interval') return (year - offset) % interval === 0;
+    return false;
+  }
+
+  /**
+   * Returns the months of a year with their length in that year, leaving out months without days.
+   * @param {object} calendar - A normalized calendar.
+   * @param {number} year - The year.
+   * @returns {Array<{name: string, days: number, intercalary: boolean, number: number}>} Months in order,
+   *   numbered from 1; intercalary months carry the number of the month before them.
+   */
+  static getMonths(calendar, year) {
+    const leap = SolunaDialBuiltinCalendar.isLeapYear(calendar, year);
+    let number = 0;
+    return calendar.months
+      .map(month => {
+        if (!month.intercalary) number++;
+        return { name: month.name, days: month.days + (leap ? month.leapDays : 0), intercalary: month.intercalary, number: Math.max(1, number) };
+      })
+      .filter(month => month.days > 0);
+  }
+
+  /**
+   * Returns the day of the year, counted from 0, of a month number and day.
+   * @param {Array<{days: number, intercalary: boolean, number: number}>} months - The year's months, from {@link getMonths}.
+   * @param {number} monthNumber - The month number.
+   * @param {number} day - The day of the month.
+   * @returns {number}
+   */
+  static dayOfYear(months, monthNumber, day) {
+    let dayOfYear = 0;
+    for (const month of months) {
+      if (!month.intercalary && month.number === monthNumber) return dayOfYear + Math.min(day, month.days) - 1;
+      dayOfYear += month.days;
+    }
+    return dayOfYear - 1;
+  }
+
+  /**
+   * Works out the date at a world time.
+   * @param {object} calendar - A normalized calendar.
+   * @param {number} worldTime - The world time.
+   * @returns {{year: number, month: object, day: number, dayOfYear: number, weekdayIndex: number|null, days: number}} The
+   *   month is one of {@link getMonths}, days the number of whole days since world time 0.
+   */
+  static dateAt(calendar, worldTime) {
+    const { hoursInDay, minutesInHour, secondsInMinute } = calendar.time;
+    const days = Math.floor(worldTime / (hoursInDay * minutesInHour * secondsInMinute));
+    const yearLength = year => SolunaDialBuiltinCalendar.getMonths(calendar, year).reduce((length, month) => {
+      length.days += month.days;
+      if (!month.intercalary) length.weekDays += month.days;
+      return length;
+    }, { days: 0, weekDays: 0 });
+
+    // Walk whole years from the epoch, counting the days that belong to a week
+    let year = calendar.epochYear;
+    let dayOfYear = days;
+    let weekDays = 0;
+    while (dayOfYear < 0) {
+      year--;
+      const length = yearLength(year);
+      dayOfYear += length.days;
+      weekDays -= length.weekDays;
+    }
+    for (let length = yearLength(year); dayOfYear >= length.days; length = yearLength(year)) {
+      dayOfYear -= length.days;
+      weekDays += length.weekDays;
+      year++;
+    }
+
+    let remaining = dayOfYear;
+    for (const month of SolunaDialBuiltinCalendar.getMonths(calendar, year)) {
+      if (remaining < month.days) {
+        const weekdayCount = calendar.weekdays.length;
+        const weekdayIndex = month.intercalary || weekdayCount === 0
+          ? null
+          : (((calendar.epochWeekday + weekDays + remaining) % weekdayCount) + weekdayCount) % weekdayCount;
+        return { year, month, day: remaining + 1, dayOfYear, weekdayIndex, days };
+      }
+      remaining -= month.days;
+      if (!month.intercalary) weekDays += month.days;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the season at a world time: the last one started this year, or the year's last season.
+   * @param {object} calendar - A normalized calendar.
+   * @param {number} worldTime - The world time.
+   * @returns {{name: string, sunrise?: number, sunset?: number}|null} Sunrise and sunset in hours.
+   */
+  static seasonAt(calendar, worldTime) {
+    const date = SolunaDialBuiltinCalendar.dateAt(calendar, worldTime);
+    if (!date || calendar.seasons.length === 0) return null;
+    const months = SolunaDialBuiltinCalendar.getMonths(calendar, date.year);
+    const seasons = calendar.seasons
+      .map(season => ({ season, start: SolunaDialBuiltinCalendar.dayOfYear(months, season.month, season.day) }))
+      .sort((a, b) => a.start - b.start);
+    return (seasons.filter(({ start }) => start <= date.dayOfYear).pop() ?? seasons[seasons.length - 1]).season;
+  }
+
+  /**
+   * Returns the moons and their phases at a world time.
+   * @param {object} calendar - A normalized calendar.
+   * @param {number} worldTime - The world time.
+   * @returns {Array<{name: string, color: string, phase: string, cycleFraction: number}>} The phase is one of {@link MOON_PHASES}.
+   */
+  static moonsAt(calendar, worldTime) {
+    const { hoursInDay, minutesInHour, secondsInMinute } = calendar.time;
+    const days = worldTime / (hoursInDay * minutesInHour * secondsInMinute);
+    return calendar.moons.map(moon => {
+      const cycleFraction = ((((days - moon.firstNewMoon) / moon.cycleLength) % 1) + 1) % 1;
+      // Each phase is centred on its point of the cycle, so new moon spans the turn of the cycle
+      const phase = SolunaDialBuiltinCalendar.MOON_PHASES[Math.round(cycleFraction * 8) % 8];
+      return { name: moon.name, color: moon.color, phase, cycleFraction };
+    });
+  }
+
+  /**
+   * Opens a dialog for GMs to edit the custom calendar as JSON, starting from the selected calendar.
+   */
+  static showEditor() {
+    const selected = game.settings.get(MODULE_ID, 'builtinCalendar');
+    const custom = game.settings.get(MODULE_ID, 'customCalendar');
+    const hasCustom = custom && Object.keys(custom).length > 0;
+    SolunaDialJsonEditor.show({
+      title: game.i18n.localize('soluna-dial.settings.customCalendarMenu.name'),
+      label: game.i18n.localize('soluna-dial.builtinCalendar.label'),
+      notes: game.i18n.localize('soluna-dial.builtinCalendar.notes'),
+      settingKey: 'customCalendar',
+      value: selected === 'custom' || !SolunaDialBuiltinCalendar.PRESETS[selected]
+        ? (hasCustom ? custom : SolunaDialBuiltinCalendar.PRESETS.gregorian)
+        : SolunaDialBuiltinCalendar.PRESETS[selected]
+    });
+  }
+}
@@ -0,0 +1,148 @@
+import { SolunaDialCalendarProvider, SimpleCalendarProvider, SeasonsAndStarsProvider, BuiltinCalendarProvider, CoreCalendarProvider } from './solunaDialCalendarProviders.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * The one place the dial reads dates, seasons, moons and notes from.
+ * Asks the first active calendar provider, so the dial works with whichever calendar module the world
+ * uses, and falls back to the built-in calendar selected by the GM. Other modules can add providers for their calendars on the solunaDial.registerCalendarProviders hook.
+ */
+export class SolunaDialCalendar {
+  /**
+   * The provider base class, for modules that add their own providers.
+   * @type {typeof SolunaDialCalendarProvider}
+   */
+  static Provider = SolunaDialCalendarProvider;
+
+  /**
+   * Time units used when no provider knows them.
+   * @type {{hoursInDay: number, minutesInHour: number, secondsInMinute: number}}
+   */
+  static DEFAULT_TIME_CONFIG = { hoursInDay: 24, minutesInHour: 60, secondsInMinute: 60 };
+
+  /**
+   * Registered providers, in order of preference.
+   * @type {SolunaDialCalendarProvider[]}
+   * @private
+   */
+  static _providers = [new SimpleCalendarProvider(), new SeasonsAndStarsProvider(), new BuiltinCalendarProvider(), new CoreCalendarProvider()];
+
+  /**
+   * Adds a calendar provider, replacing a registered provider with the same id. Added providers are
+   * preferred over the built-in ones.
+   * @param {SolunaDialCalendarProvider} provider - The provider.
+   */
+  static registerProvider(provider) {
+    if (!provider?.id) {
+      console.warn(`${MODULE_ID} | Calendar providers need an id.`, provider);
+      return;
+    }
+    SolunaDialCalendar._providers = [provider, ...SolunaDialCalendar._providers.filter(other => other.id !== provider.id)];
+  }
+
+  /**
+   * Returns the registered providers, in order of preference.
+   * @returns {SolunaDialCalendarProvider[]}
+   */
+  static getProviders() {
+    return [...SolunaDialCalendar._providers];
+  }
+
+  /**
+   * Returns the provider the dial reads from: the first one that is active.
+   * @returns {SolunaDialCalendarProvider|null}
+   */
+  static getProvider() {
+    return SolunaDialCalendar._providers.find(provider => {
+      try {
+        return provider.isActive();
+      } catch (e) {
+        return false;
+      }
+    }) ?? null;
+  }
+
+  /**
+   * Calls a method of the active provider. A missing provider or method, or a failing calendar API,
+   * returns the fallback.
+   * @param {string} method - The provider method.
+   * @param {*} fallback - Returned when the provider cannot answer.
+   * @param {...*} args - Arguments for the method.
+   * @returns {*}
+   * @private
+   */
+  static _ask(method, fallback, ...args) {
+    const provider = SolunaDialCalendar.getProvider();
+    if (typeof provider?.[method] !== 'function') return fallback;
+    try {
+      return provider[method](...args) ?? fallback;
+    } catch (e) {
+      console.warn(`${MODULE_ID} | Calendar provider '${provider.id}' failed in ${method}.`, e);
+      return fallback;
+    }
+  }
+
+  /**
+   * Returns the calendar's time units, filling in anything the provider does not know.
+   * @returns {{hoursInDay: number, minutesInHour: number, secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}}
+   */
+  static getTimeConfig() {
+    const config = { ...SolunaDialCalendar.DEFAULT_TIME_CONFIG };
+    const provided = SolunaDialCalendar._ask('getTimeConfig', {});
+    for (const key of Object.keys(config)) {
+      if (provided[key] > 0) config[key] = provided[key];
+    }
+    const secondsPerHour = config.minutesInHour * config.secondsInMinute;
+    return { ...config, secondsPerHour, secondsPerDay: config.hoursInDay * secondsPerHour };
+  }
+
+  /**
+   * Returns the calendar date at a world time.
+   * @param {number} [worldTime] - Defaults to the current world time.
+   * @returns {{day: number, month: number, monthName: string, weekday: string, year: number, yearPrefix: string, yearPostfix: string, yearName: string, era: string, display: string}|null}
+   */
+  static getDate(worldTime = game.time.worldTime) {
+    return SolunaDialCalendar._ask('getDate', null, worldTime);
+  }
+
+  /**
+   * Returns the season at a world time.
+   * @param {number} [worldTime] - Defaults to the current world time.
+   * @returns {{name: string, sunrise?: number, sunset?: number}|null}
+   */
+  static getSeason(worldTime = game.time.worldTime) {
+    return SolunaDialCalendar._ask('getSeason', null, worldTime);
+  }
+
+  /**
+   * Returns the calendar's moons and their phases at a world time.
+   * @param {number} [worldTime] - Defaults to the current world time.
+   * @returns {Array<{name: string, color: string, phaseName: string, cycleFraction: number}>}
+   */
+  static getMoons(worldTime = game.time.worldTime) {
+    return SolunaDialCalendar._ask('getMoons', [], worldTime).map(moon => ({
+      name: moon.name || game.i18n.localize('soluna-dial.moons.defaultName'),
+      color: moon.color || '#FFFFFF',
+      phaseName: moon.phaseName || game.i18n.localize('soluna-dial.moons.unknownPhase'),
+      cycleFraction: Number(moon.cycleFraction) || 0
+    }));
+  }
+
+  /**
+   * Returns the notes scheduled on the day starting at a world time.
+   * @param {number} dayStart - World time at the start of the day.
+   * @param {{secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}} timeConfig - The calendar's time units.
+   * @returns {Array<{entry: JournalEntry, allDay: boolean, secondsIntoDay: number}>}
+   */
+  static getNotesForDay(dayStart, timeConfig) {
+    return SolunaDialCalendar._ask('getNotesForDay', [], dayStart, timeConfig);
+  }
+
+  /**
+   * Returns the hooks any registered calendar calls when its date changes.
+   * @returns {string[]}
+   */
+  static getDateChangeHooks() {
+    return [...new Set(SolunaDialCalendar._providers.flatMap(provider => provider.dateChangeHooks ?? []))];
+  }
+}
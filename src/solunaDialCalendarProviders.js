@@ -0,0 +1,420 @@
+import { SolunaDialBuiltinCalendar } from './solunaDialBuiltinCalendar.js';
+
+/**
+ * The interface every calendar provider implements, turning its calendar's data into the shapes below
+ * so the dial never talks to a calendar module directly. The base class knows nothing, so a provider
+ * only overrides what its calendar offers.
+ *
+ * - Time configuration: `{hoursInDay, minutesInHour, secondsInMinute}`.
+ * - Date: `{day, month, monthName, weekday, year, yearPrefix, yearPostfix, yearName, era, display}`, with
+ *   day and month counted from 1 and display the calendar's own full date text.
+ * - Season: `{name, sunrise, sunset}`, sunrise and sunset in seconds into the day when known.
+ * - Moon: `{name, color, phaseName, cycleFraction}`, cycleFraction 0 at new moon and 0.5 at full moon.
+ * - Note: `{entry, allDay, secondsIntoDay}`, entry being the note's journal entry.
+ */
+export class SolunaDialCalendarProvider {
+  /**
+   * Positions in the moon cycle for the common phase icons, 0 at new moon and 0.5 at full moon.
+   * @type {Object<string, number>}
+   */
+  static PHASE_ICON_FRACTIONS = {
+    'new': 0, 'waxing-crescent': 0.125, 'first-quarter': 0.25, 'waxing-gibbous': 0.375,
+    'full': 0.5, 'waning-gibbous': 0.625, 'last-quarter': 0.75, 'waning-crescent': 0.875
+  };
+
+  /**
+   * Returns the fraction of a moon cycle at the middle of a phase, measured along the phase lengths.
+   * @param {Array<{name: string, length: number}>} phases - The moon's phases in order.
+   * @param {number} phaseIndex - Index of the current phase.
+   * @returns {number|null} The cycle fraction, or null when the phases have no lengths.
+   */
+  static phaseMidpoint(phases, phaseIndex) {
+    const cycleLength = phases.reduce((total, phase) => total + (Number(phase.length) || 0), 0);
+    if (phaseIndex < 0 || !(cycleLength > 0)) return null;
+    const phaseStart = phases.slice(0, phaseIndex).reduce((total, phase) => total + (Number(phase.length) || 0), 0);
+    return (phaseStart + (Number(phases[phaseIndex].length) || 0) / 2) / cycleLength;
+  }
+
+  /**
+   * @param {string} id - Unique id of the provider.
+   * @param {string} label - Display name, or a translation key.
+   */
+  constructor(id, label) {
+    this.id = id;
+    this.label = label;
+  }
+
+  /**
+   * Hooks the calendar calls when its date changes without world time changing, e.g. when the
+   * calendar itself is edited.
+   * @type {string[]}
+   */
+  get dateChangeHooks() {
+    return [];
+  }
+
+  /**
+   * Whether the calendar can be used in this world.
+   * @returns {boolean}
+   */
+  isActive() {
+    return false;
+  }
+
+  /**
+   * @returns {{hoursInDay: number, minutesInHour: number, secondsInMinute: number}|null}
+   */
+  getTimeConfig() {
+    return null;
+  }
+
+  /**
+   * @param {number} worldTime - The world time to read the date of.
+   * @returns {object|null}
+   */
+  getDate(worldTime) {
+    return null;
+  }
+
+  /**
+   * @param {number} worldTime - The world time to read the season of.
+   * @returns {{name: string, sunrise?: number, sunset?: number}|null}
+   */
+  getSeason(worldTime) {
+    return null;
+  }
+
+  /**
+   * @param {number} worldTime - The world time to read the moon phases of.
+   * @returns {Array<{name: string, color: string, phaseName: string, cycleFraction: number}>}
+   */
+  getMoons(worldTime) {
+    return [];
+  }
+
+  /**
+   * @param {number} dayStart - World time at the start of the day.
+   * @param {{secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}} timeConfig - The calendar's time units.
+   * @returns {Array<{entry: JournalEntry, allDay: boolean, secondsIntoDay: number}>}
+   */
+  getNotesForDay(dayStart, timeConfig) {
+    return [];
+  }
+}
+
+/**
+ * Simple Calendar, and its Simple Calendar Reborn fork, which keeps the same API.
+ */
+export class SimpleCalendarProvider extends SolunaDialCalendarProvider {
+  constructor() {
+    super('simple-calendar', 'Simple Calendar');
+  }
+
+  /**
+   * Module ids that provide the SimpleCalendar API, in order of preference.
+   * @type {string[]}
+   */
+  static MODULE_IDS = ['foundryvtt-simple-calendar', 'foundryvtt-simple-calendar-reborn'];
+
+  get dateChangeHooks() {
+    return ['SimpleCalendar.DateTimeChange'];
+  }
+
+  /**
+   * The id of the active module, which is also the scope of its note flags.
+   * @type {string|undefined}
+   */
+  get moduleId() {
+    return SimpleCalendarProvider.MODULE_IDS.find(id => game.modules.get(id)?.active);
+  }
+
+  isActive() {
+    return !!this.moduleId && typeof SimpleCalendar !== 'undefined' && !!SimpleCalendar.api;
+  }
+
+  getTimeConfig() {
+    return SimpleCalendar.api.getTimeConfiguration() ?? null;
+  }
+
+  getDate(worldTime) {
+    const date = SimpleCalendar.api.timestampToDate(worldTime);
+    const display = date?.display;
+    if (!display?.day || !display.monthName || !display.year) return null;
+    return {
+      day: Number.parseInt(display.day, 10) || date.day + 1,
+      month: Number.parseInt(display.month, 10) || date.month + 1,
+      monthName: display.monthName,
+      weekday: display.weekday || '',
+      year: display.year,
+      yearPrefix: display.yearPrefix || '',
+      yearPostfix: display.yearPostfix || '',
+      yearName: display.yearName || '',
+      // Simple Calendar has no eras; calendars usually write theirs as the year postfix, e.g. "DR"
+      era: String(display.yearPostfix || '').trim(),
+      display: display.date || ''
+    };
+  }
+
+  getSeason(worldTime) {
+    const season = SimpleCalendar.api.timestampToDate(worldTime)?.currentSeason ?? SimpleCalendar.api.getCurrentSeason();
+    if (!season?.name) return null;
+    return { name: season.name, sunrise: Number(season.sunriseTime), sunset: Number(season.sunsetTime) };
+  }
+
+  getMoons(worldTime) {
+    return (SimpleCalendar.api.getAllMoons() || []).map(moon => {
+      const phases = Array.isArray(moon.phases) ? moon.phases : [];
+      const currentPhase = moon.currentPhase;
+      const phaseIndex = phases.findIndex(phase => phase.name === currentPhase?.name);
+      return {
+        name: moon.name,
+        color: moon.color,
+        phaseName: currentPhase?.name,
+        cycleFraction: SolunaDialCalendarProvider.phaseMidpoint(phases, phaseIndex)
+          ?? SolunaDialCalendarProvider.PHASE_ICON_FRACTIONS[currentPhase?.icon] ?? 0
+      };
+    });
+  }
+
+  getNotesForDay(dayStart, timeConfig) {
+    const date = SimpleCalendar.api.timestampToDate(dayStart);
+    if (!date) return [];
+    return (SimpleCalendar.api.getNotesForDay(date.year, date.month, date.day) || []).filter(Boolean).map(entry => {
+      const noteData = entry.getFlag?.(this.moduleId, 'noteData') ?? {};
+      const start = noteData.startDate ?? {};
+      const allDay = noteData.allDay !== false;
+      const secondsIntoDay = allDay ? 0 : Math.min(
+        timeConfig.secondsPerDay - 1,
+        (Number(start.hour) || 0) * timeConfig.secondsPerHour
+          + (Number(start.minute) || 0) * timeConfig.secondsInMinute
+          + (Number(start.seconds) || 0)
+      );
+      return { entry, allDay, secondsIntoDay };
+    });
+  }
+}
+
+/**
+ * Seasons & Stars, through its game.seasonsStars.api.
+ * Moon phases are worked out from the calendar's moon definitions, as the API does not report them.
+ */
+export class SeasonsAndStarsProvider extends SolunaDialCalendarProvider {
+  constructor() {
+    super('seasons-and-stars', 'Seasons & Stars');
+  }
+
+  get dateChangeHooks() {
+    return ['seasons-stars:dateChanged', 'seasons-stars:calendarChanged'];
+  }
+
+  /** @private */
+  get _api() {
+    return game.seasonsStars?.api;
+  }
+
+  /** @private */
+  get _calendar() {
+    return this._api.getActiveCalendar?.() ?? null;
+  }
+
+  isActive() {
+    return !!game.modules.get('seasons-and-stars')?.active && !!this._api;
+  }
+
+  getTimeConfig() {
+    return this._calendar?.time ?? null;
+  }
+
+  /**
+   * Returns the Seasons & Stars date at a world time.
+   * @param {number} worldTime - The world time.
+   * @returns {object|null}
+   * @private
+   */
+  _dateAt(worldTime) {
+    if (typeof this._api.worldTimeToDate === 'function') return this._api.worldTimeToDate(worldTime);
+    return worldTime === game.time.worldTime ? this._api.getCurrentDate() : null;
+  }
+
+  getDate(worldTime) {
+    const date = this._dateAt(worldTime);
+    const calendar = this._calendar;
+    if (!date || !calendar) return null;
+    const month = calendar.months?.[date.month - 1];
+    const prefix = calendar.year?.prefix ?? '';
+    const suffix = calendar.year?.suffix ?? '';
+    return {
+      day: date.day,
+      month: date.month,
+      monthName: month?.name ?? String(date.month),
+      weekday: calendar.weekdays?.[date.weekday]?.name ?? '',
+      year: date.year,
+      yearPrefix: prefix,
+      yearPostfix: suffix,
+      yearName: '',
+      era: String(suffix).trim(),
+      display: typeof this._api.formatDate === 'function' ? this._api.formatDate(date) : ''
+    };
+  }
+
+  getSeason(worldTime) {
+    const date = this._dateAt(worldTime);
+    if (!date) return null;
+    const season = this._api.getSeasonInfo?.(date);
+    if (!season?.name) return null;
+    const result = { name: season.name };
+    // Sunrise and sunset are reported in hours
+    const sun = this._api.getSunriseSunset?.(date);
+    const time = this._calendar?.time;
+    if (sun && time) {
+      const secondsPerHour = time.minutesInHour * time.secondsInMinute;
+      result.sunrise = Number(sun.sunrise) * secondsPerHour;
+      result.sunset = Number(sun.sunset) * secondsPerHour;
+    }
+    return result;
+  }
+
+  getMoons(worldTime) {
+    const calendar = this._calendar;
+    const time = calendar?.time;
+    if (!Array.isArray(calendar?.moons) || !time || typeof this._api.dateToWorldTime !== 'function') return [];
+    const secondsPerDay = time.hoursInDay * time.minutesInHour * time.secondsInMinute;
+    return calendar.moons.map(moon => {
+      const phases = Array.isArray(moon.phases) ? moon.phases : [];
+      const cycleLength = Number(moon.cycleLength) || phases.reduce((total, phase) => total + (Number(phase.length) || 0), 0);
+      let cycleFraction = 0;
+      let phaseName;
+      if (cycleLength > 0 && moon.firstNewMoon) {
+        const daysSinceNewMoon = (worldTime - this._api.dateToWorldTime(moon.firstNewMoon)) / secondsPerDay;
+        cycleFraction = ((daysSinceNewMoon / cycleLength) % 1 + 1) % 1;
+        // The phase whose span contains the current day of the cycle
+        let dayOfCycle = cycleFraction * cycleLength;
+        phaseName = phases.find(phase => (dayOfCycle -= Number(phase.length) || 0) < 0)?.name;
+      }
+      return { name: moon.name, color: moon.color, phaseName, cycleFraction };
+    });
+  }
+}
+
+/**
+ * The calendar built into Foundry (game.time.calendar, from Foundry 13). Month, weekday and season
+ * names are translation keys.
+ */
+export class CoreCalendarProvider extends SolunaDialCalendarProvider {
+  constructor() {
+    super('core', 'Foundry VTT');
+  }
+
+  /** @private */
+  get _calendar() {
+    return game.time?.calendar;
+  }
+
+  isActive() {
+    return typeof this._calendar?.timeToComponents === 'function';
+  }
+
+  getTimeConfig() {
+    const days = this._calendar.days;
+    return { hoursInDay: days?.hoursPerDay, minutesInHour: days?.minutesPerHour, secondsInMinute: days?.secondsPerMinute };
+  }
+
+  getDate(worldTime) {
+    const calendar = this._calendar;
+    const components = calendar.timeToComponents(worldTime);
+    if (!components) return null;
+    const month = calendar.months?.values?.[components.month];
+    const weekday = calendar.days?.values?.[components.dayOfWeek];
+    const year = components.year + (calendar.years?.yearZero ?? 0);
+    const date = {
+      day: components.dayOfMonth + 1,
+      month: components.month + 1,
+      monthName: month ? game.i18n.localize(month.name) : String(components.month + 1),
+      weekday: weekday ? game.i18n.localize(weekday.name) : '',
+      year,
+      yearPrefix: '',
+      yearPostfix: '',
+      yearName: '',
+      era: ''
+    };
+    date.display = `${date.day} ${date.monthName}, ${year}`;
+    return date;
+  }
+
+  getSeason(worldTime) {
+    const components = this._calendar.timeToComponents(worldTime);
+    const season = this._calendar.seasons?.values?.[components?.season];
+    return season?.name ? { name: game.i18n.localize(season.name) } : null;
+  }
+}
+
+/**
+ * The calendar built into Soluna Dial, for worlds without a calendar module. The GM picks a preset or
+ * a custom calendar in the world settings.
+ */
+export class BuiltinCalendarProvider extends SolunaDialCalendarProvider {
+  constructor() {
+    super('builtin', 'soluna-dial.settings.builtinCalendar.name');
+  }
+
+  get dateChangeHooks() {
+    return ['solunaDial.calendarChanged'];
+  }
+
+  /** @private */
+  get _calendar() {
+    return SolunaDialBuiltinCalendar.getActiveCalendar();
+  }
+
+  isActive() {
+    return !!this._calendar;
+  }
+
+  getTimeConfig() {
+    return this._calendar.time;
+  }
+
+  getDate(worldTime) {
+    const calendar = this._calendar;
+    const date = SolunaDialBuiltinCalendar.dateAt(calendar, worldTime);
+    if (!date) return null;
+    const monthName = game.i18n.localize(date.month.name);
+    const yearText = `${calendar.yearPrefix}${date.year}${calendar.yearPostfix}`;
+    return {
+      day: date.day,
+      month: date.month.number,
+      monthName,
+      weekday: date.weekdayIndex === null ? '' : game.i18n.localize(calendar.weekdays[date.weekdayIndex]),
+      year: date.year,
+      yearPrefix: calendar.yearPrefix,
+      yearPostfix: calendar.yearPostfix,
+      yearName: '',
+      era: calendar.yearPostfix.trim(),
+      // A one-day festival is named on its own
+      display: date.month.intercalary && date.month.days === 1 ? `${monthName}, ${yearText}` : `${date.day} ${monthName}, ${yearText}`
+    };
+  }
+
+  getSeason(worldTime) {
+    const calendar = this._calendar;
+    const season = SolunaDialBuiltinCalendar.seasonAt(calendar, worldTime);
+    if (!season) return null;
+    // Season names stay untranslated, as the weather tables are keyed by them
+    const result = { name: season.name };
+    const secondsPerHour = calendar.time.minutesInHour * calendar.time.secondsInMinute;
+    if (season.sunrise !== undefined && season.sunset !== undefined) {
+      result.sunrise = season.sunrise * secondsPerHour;
+      result.sunset = season.sunset * secondsPerHour;
+    }
+    return result;
+  }
+
+  getMoons(worldTime) {
+    return SolunaDialBuiltinCalendar.moonsAt(this._calendar, worldTime).map(moon => ({
+      name: game.i18n.localize(moon.name),
+      color: moon.color,
+      phaseName: game.i18n.localize(`soluna-dial.moons.phases.${moon.phase}`),
+      cycleFraction: moon.cycleFraction
+    }));
+  }
+}
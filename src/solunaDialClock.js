@@ -0,0 +1,174 @@
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Lets game time run on its own at a fixed ratio to real time.
+ * The running state and an anchor (a real time and the world time at that moment) are stored in the
+ * realtimeClock world setting. Only the active GM advances time, always towards the time the anchor
+ * predicts, so ticks that arrive late do not drift and several connected GMs never both advance.
+ */
+export class SolunaDialClock {
+  /**
+   * Real milliseconds between clock ticks.
+   * @type {number}
+   */
+  static TICK_INTERVAL = 1000;
+
+  /**
+   * Longest gap, in real seconds, that is caught up after a reload or a change of GM.
+   * Longer gaps (e.g. no GM connected overnight) restart the clock from the current time instead.
+   * @type {number}
+   */
+  static MAX_CATCH_UP_SECONDS = 60;
+
+  /** @private */
+  static _interval = null;
+  /** @private */
+  static _anchor = null;
+  /** @private */
+  static _expectedWorldTime = null;
+  /** @private */
+  static _pending = false;
+  /** @private */
+  static _heldBy = null;
+  /** @private */
+  static _resuming = false;
+
+  /**
+   * Returns the stored clock state.
+   * @returns {{running: boolean, anchorRealTime: number, anchorWorldTime: number}}
+   */
+  static getState() {
+    const state = game.settings.get(MODULE_ID, 'realtimeClock') ?? {};
+    return {
+      running: !!state.running,
+      anchorRealTime: Number(state.anchorRealTime) || 0,
+      anchorWorldTime: Number(state.anchorWorldTime) || 0
+    };
+  }
+
+  /**
+   * Whether this client is the one that advances time.
+   * @returns {boolean}
+   */
+  static isOwner() {
+    return game.user.isGM && game.users.activeGM?.id === game.user.id;
+  }
+
+  /**
+   * Returns why the running clock is currently held, or null if it is free to run.
+   * @returns {string|null} 'paused' while the game is paused, 'combat' during a started combat.
+   */
+  static getHoldReason() {
+    if (game.paused) return 'paused';
+    if (game.combats?.some(combat => combat.started)) return 'combat';
+    return null;
+  }
+
+  /**
+   * Starts or stops the clock. GM only.
+   * @param {boolean} running - Whether the clock should run.
+   */
+  static async setRunning(running) {
+    if (!game.user.isGM) return;
+    await game.settings.set(MODULE_ID, 'realtimeClock', {
+      running: !!running,
+      anchorRealTime: Date.now(),
+      anchorWorldTime: game.time.worldTime
+    });
+  }
+
+  /**
+   * Starts ticking if the clock runs and this client owns it, and stops otherwise.
+   * Called whenever the stored state or the active GM may have changed.
+   */
+  static refresh() {
+    const state = SolunaDialClock.getState();
+    if (!state.running || !SolunaDialClock.isOwner()) {
+      if (SolunaDialClock._interval) clearInterval(SolunaDialClock._interval);
+      SolunaDialClock._interval = null;
+      SolunaDialClock._anchor = null;
+      return;
+    }
+    SolunaDialClock._anchor = { realTime: state.anchorRealTime, worldTime: state.anchorWorldTime };
+    SolunaDialClock._expectedWorldTime = game.time.worldTime;
+    SolunaDialClock._resuming = true;
+    if (!SolunaDialClock._interval) {
+      SolunaDialClock._interval = setInterval(() => SolunaDialClock._tick(), SolunaDialClock.TICK_INTERVAL);
+    }
+    SolunaDialClock._tick();
+  }
+
+  /**
+   * Restarts the running clock from the current moment so a new ratio applies from now on.
+   */
+  static onRatioChange() {
+    if (SolunaDialClock._anchor && SolunaDialClock.isOwner()) SolunaDialClock._reanchor();
+  }
+
+  /**
+   * Moves the anchor to the current moment and stores it, so the clock continues from here.
+   * @private
+   */
+  static async _reanchor() {
+    SolunaDialClock._anchor = { realTime: Date.now(), worldTime: game.time.worldTime };
+    await game.settings.set(MODULE_ID, 'realtimeClock', {
+      running: true,
+      anchorRealTime: SolunaDialClock._anchor.realTime,
+      anchorWorldTime: SolunaDialClock._anchor.worldTime
+    });
+  }
+
+  /**
+   * Advances world time to where the anchor says it should be.
+   * @private
+   */
+  static async _tick() {
+    if (!SolunaDialClock._anchor || SolunaDialClock._pending) return;
+    const worldTime = game.time.worldTime;
+    const ratio = Math.max(0.01, Number(game.settings.get(MODULE_ID, 'realtimeClockRatio')) || 1);
+
+    // While held the anchor follows along, so no time is made up once the hold ends
+    const heldBy = SolunaDialClock.getHoldReason();
+    if (heldBy) {
+      SolunaDialClock._heldBy = heldBy;
+      SolunaDialClock._anchor = { realTime: Date.now(), worldTime };
+      SolunaDialClock._expectedWorldTime = worldTime;
+      return;
+    }
+    if (SolunaDialClock._heldBy) {
+      SolunaDialClock._heldBy = null;
+      SolunaDialClock._expectedWorldTime = worldTime;
+      return SolunaDialClock._reanchor();
+    }
+
+    // Someone else moved time (an advance button, a macro); keep their change and run on from it
+    if (worldTime !== SolunaDialClock._expectedWorldTime) {
+      SolunaDialClock._expectedWorldTime = worldTime;
+      return SolunaDialClock._reanchor();
+    }
+
+    const target = SolunaDialClock._anchor.worldTime + (Date.now() - SolunaDialClock._anchor.realTime) / 1000 * ratio;
+    const delta = target - worldTime;
+    // A stored anchor from before a reload only counts if it still fits the current world time
+    if (SolunaDialClock._resuming) {
+      SolunaDialClock._resuming = false;
+      if (delta < 0 || delta > SolunaDialClock.MAX_CATCH_UP_SECONDS * ratio) {
+        return SolunaDialClock._reanchor();
+      }
+    }
+    if (delta < 1) {
+      SolunaDialClock._expectedWorldTime = worldTime;
+      return;
+    }
+
+    SolunaDialClock._pending = true;
+    try {
+      await game.time.advance(Math.floor(delta));
+    } catch (e) {
+      console.warn(`${MODULE_ID} | Real-time clock could not advance time.`, e);
+    } finally {
+      SolunaDialClock._expectedWorldTime = game.time.worldTime;
+      SolunaDialClock._pending = false;
+    }
+  }
+}
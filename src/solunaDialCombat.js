@@ -0,0 +1,109 @@
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Keeps world time in step with combat rounds and reports how long a combat took.
+ * The world time a combat started at is stored in the combat's startTime flag.
+ */
+export class SolunaDialCombat {
+  /**
+   * Whether combat time tracking is switched on.
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return !!game.settings.get(MODULE_ID, 'combatTimeTracking');
+  }
+
+  /**
+   * Returns the started combat shown on this client, if combat time tracking is on.
+   * @returns {Combat|null}
+   */
+  static getActiveCombat() {
+    if (!SolunaDialCombat.isEnabled()) return null;
+    const combat = game.combat;
+    return combat?.started ? combat : null;
+  }
+
+  /**
+   * Returns the world time that has passed since a combat started.
+   * Combats started before tracking was switched on count their completed rounds instead.
+   * @param {Combat} combat - The combat.
+   * @returns {number} Elapsed seconds.
+   */
+  static getElapsed(combat) {
+    const startTime = combat.getFlag(MODULE_ID, 'startTime');
+    if (typeof startTime === 'number') return Math.max(0, game.time.worldTime - startTime);
+    return Math.max(0, (combat.round - 1) * game.settings.get(MODULE_ID, 'combatRoundSeconds'));
+  }
+
+  /**
+   * Formats a duration in the calendar's units, e.g. "1h 2m 30s".
+   * @param {number} totalSeconds - The duration in seconds.
+   * @param {{secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}} timeConfig - The calendar's time units.
+   * @returns {string}
+   */
+  static formatDuration(totalSeconds, timeConfig) {
+    let remaining = Math.floor(totalSeconds);
+    const parts = [];
+    for (const [suffix, size] of [['d', timeConfig.secondsPerDay], ['h', timeConfig.secondsPerHour], ['m', timeConfig.secondsInMinute]]) {
+      const count = Math.floor(remaining / size);
+      if (count > 0) parts.push(`${count}${suffix}`);
+      remaining -= count * size;
+    }
+    if (remaining > 0 || parts.length === 0) parts.push(`${remaining}s`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Records the world time a combat starts at. Active GM only.
+   * @param {Combat} combat - The combat that started.
+   */
+  static async onCombatStart(combat) {
+    if (!SolunaDialCombat._isResponsible()) return;
+    await combat.setFlag(MODULE_ID, 'startTime', game.time.worldTime);
+  }
+
+  /**
+   * Advances world time for each completed round, or rewinds it when rounds are stepped back. Active GM only.
+   * Time core already advanced for the round change (CONFIG.time.roundTime, passed as
+   * options.worldTime.delta; options.advanceTime before v12) is subtracted, so rounds are never
+   * counted twice.
+   * @param {Combat} combat - The updated combat.
+   * @param {object} changes - The changed data.
+   * @param {object} options - The update options.
+   */
+  static async onUpdateCombat(combat, changes, options) {
+    if (!('round' in changes) || !SolunaDialCombat._isResponsible()) return;
+    const previousRound = combat.previous?.round ?? (changes.round - (options?.direction ?? 1));
+    // Starting the first round completes nothing
+    if (!(previousRound >= 1)) return;
+    const roundsPassed = changes.round - previousRound;
+    const delta = roundsPassed * game.settings.get(MODULE_ID, 'combatRoundSeconds') - (Number(options?.worldTime?.delta ?? options?.advanceTime) || 0);
+    if (delta !== 0) await game.time.advance(delta);
+  }
+
+  /**
+   * Posts how much time a finished combat took. Active GM only.
+   * @param {Combat} combat - The deleted combat.
+   * @param {{secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}} timeConfig - The calendar's time units.
+   */
+  static async onDeleteCombat(combat, timeConfig) {
+    if (!combat.started || !SolunaDialCombat._isResponsible()) return;
+    const elapsed = SolunaDialCombat.formatDuration(SolunaDialCombat.getElapsed(combat), timeConfig);
+    const rounds = combat.round === 1
+      ? game.i18n.localize('soluna-dial.combat.roundsOne')
+      : game.i18n.format('soluna-dial.combat.roundsMany', { rounds: combat.round });
+    await ChatMessage.create({
+      content: `<p><strong>${game.i18n.localize('soluna-dial.combat.ended')}</strong></p><p>${game.i18n.format('soluna-dial.combat.summary', { rounds, elapsed })}</p>`,
+      speaker: { alias: 'Soluna Dial' }
+    });
+  }
+
+  /**
+   * Whether this client updates time and posts summaries: the active GM, with tracking on.
+   * @returns {boolean}
+   * @private
+   */
+  static _isResponsible() {
+    return SolunaDialCombat.isEnabled() && game.user.isGM && game.users.activeGM?.id === game.user.id;
+  }
+}
@@ -0,0 +1,89 @@
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Derives a scene darkness level from the time of day and the weather.
+ */
+export class SolunaDialDarkness {
+  /**
+   * Computes the darkness level for a moment of the day.
+   * Daylight ramps smoothly across a twilight window centered on sunrise and sunset; cloud cover
+   * and precipitation dim the daylight further.
+   * @param {object} options
+   * @param {number} options.secondsIntoDay - Seconds elapsed since midnight.
+   * @param {number} options.sunrise - Sunrise, in seconds into the day.
+   * @param {number} options.sunset - Sunset, in seconds into the day.
+   * @param {number} options.twilight - Length of dawn and dusk, in seconds.
+   * @param {number} options.nightDarkness - Darkness level at night, 0 to 1.
+   * @param {object|null} [options.weather] - The scene's weather state.
+   * @returns {number} The darkness level, 0 (bright) to 1 (dark).
+   */
+  static computeDarkness({ secondsIntoDay, sunrise, sunset, twilight, nightDarkness, weather = null }) {
+    const smoothstep = (edge0, edge1, x) => {
+      if (edge1 <= edge0) return x < edge0 ? 0 : 1;
+      const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+      return t * t * (3 - 2 * t);
+    };
+    const halfTwilight = twilight / 2;
+    const daylight = Math.min(
+      smoothstep(sunrise - halfTwilight, sunrise + halfTwilight, secondsIntoDay),
+      1 - smoothstep(sunset - halfTwilight, sunset + halfTwilight, secondsIntoDay)
+    );
+
+    // Overcast skies take up to a quarter of the daylight, heavy rain or snow another quarter
+    let weatherDarkness = 0;
+    if (weather) {
+      weatherDarkness += (Number(weather.cloudCover) || 0) * 0.25;
+      if (weather.precipitation?.type && weather.precipitation.type !== 'none') {
+        weatherDarkness += (Number(weather.precipitation.intensity) || 0) * 0.25;
+      }
+    }
+    const dayDarkness = Math.min(nightDarkness, weatherDarkness);
+    const darkness = nightDarkness * (1 - daylight) + dayDarkness * daylight;
+    return Math.round(Math.min(1, Math.max(0, darkness)) * 100) / 100;
+  }
+
+  /**
+   * Whether a scene follows the dial's darkness. Scenes opt out through their configuration.
+   * @param {Scene} scene - The scene.
+   * @returns {boolean}
+   */
+  static isSceneEnabled(scene) {
+    return !!scene && !scene.getFlag(MODULE_ID, 'ignoreDarkness');
+  }
+
+  /**
+   * Sets a scene's darkness level unless it is already within 0.01 of it.
+   * @param {Scene} scene - The scene to update.
+   * @param {number} darkness - The darkness level, 0 to 1.
+   */
+  static async applyToScene(scene, darkness) {
+    const current = scene.environment?.darknessLevel ?? scene.darkness ?? 0;
+    if (Math.abs(current - darkness) < 0.01) return;
+    const update = scene.environment ? { 'environment.darknessLevel': darkness } : { darkness };
+    // Large jumps (e.g. skipping to night) fade in rather than snapping
+    await scene.update(update, { animateDarkness: Math.abs(current - darkness) > 0.1 ? 2000 : 0 });
+  }
+
+  /**
+   * Adds the darkness opt-out checkbox to the Ambience tab of the scene configuration.
+   * @param {SceneConfig} app - The scene configuration sheet.
+   * @param {jQuery} html - The rendered sheet.
+   */
+  static onRenderSceneConfig(app, html) {
+    if (!game.user.isGM) return;
+    const scene = app.document ?? app.object;
+    const ignored = !!scene?.getFlag(MODULE_ID, 'ignoreDarkness');
+    const formGroup = $(`
+      <div class="form-group">
+        <label>${game.i18n.localize('soluna-dial.darkness.sceneConfig.ignore')}</label>
+        <div class="form-fields">
+          <input type="checkbox" name="flags.${MODULE_ID}.ignoreDarkness" ${ignored ? 'checked' : ''}>
+        </div>
+        <p class="notes">${game.i18n.localize('soluna-dial.darkness.sceneConfig.notes')}</p>
+      </div>
+    `);
+    const ambienceTab = html.find('.tab[data-tab="ambience"]');
+    (ambienceTab.length ? ambienceTab : html.find('form').first()).append(formGroup);
+    app.setPosition({ height: 'auto' });
+  }
+}
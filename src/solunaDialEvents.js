@@ -0,0 +1,109 @@
+import { SolunaDialSettings } from './solunaDialSettings.js';
+import { SolunaDialCalendar } from './solunaDialCalendar.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Reads scheduled calendar notes and announces the ones that world time passes.
+ */
+export class SolunaDialEvents {
+  /**
+   * Longest time jump, in days, that is searched for passed events.
+   * @type {number}
+   */
+  static MAX_SCAN_DAYS = 366;
+
+  /**
+   * Whether the current user may see a note. Notes only the GM can observe stay hidden from players.
+   * @param {JournalEntry} entry - The note's journal entry.
+   * @returns {boolean}
+   */
+  static canSee(entry) {
+    if (game.user.isGM) return true;
+    return typeof entry.testUserPermission === 'function' && entry.testUserPermission(game.user, 'OBSERVER');
+  }
+
+  /**
+   * Returns the notes the current user can see on a calendar day.
+   * @param {number} dayIndex - The day, counted in whole calendar days of world time.
+   * @param {{secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}} timeConfig - The calendar's time units.
+   * @returns {Array<{id: string, name: string, allDay: boolean, secondsIntoDay: number, timestamp: number}>}
+   *   Sorted by time; all-day notes start at midnight.
+   */
+  static getNotesForDay(dayIndex, timeConfig) {
+    const dayStart = dayIndex * timeConfig.secondsPerDay;
+    return SolunaDialCalendar.getNotesForDay(dayStart, timeConfig)
+      .filter(({ entry }) => entry && SolunaDialEvents.canSee(entry))
+      .map(({ entry, allDay, secondsIntoDay }) => ({ id: entry.id, name: entry.name, allDay, secondsIntoDay, timestamp: dayStart + secondsIntoDay }))
+      .sort((a, b) => a.secondsIntoDay - b.secondsIntoDay);
+  }
+
+  /**
+   * Returns the notes scheduled after one world time and up to another, in order.
+   * @param {number} fromTime - The previous world time (exclusive).
+   * @param {number} toTime - The new world time (inclusive).
+   * @param {{secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}} timeConfig - The calendar's time units.
+   * @returns {Array<{id: string, name: string, allDay: boolean, secondsIntoDay: number, timestamp: number}>}
+   */
+  static getNotesBetween(fromTime, toTime, timeConfig) {
+    if (!(toTime > fromTime)) return [];
+    const firstDay = Math.floor(fromTime / timeConfig.secondsPerDay);
+    const lastDay = Math.min(Math.floor(toTime / timeConfig.secondsPerDay), firstDay + SolunaDialEvents.MAX_SCAN_DAYS);
+    const passed = [];
+    for (let day = firstDay; day <= lastDay; day++) {
+      for (const note of SolunaDialEvents.getNotesForDay(day, timeConfig)) {
+        if (note.timestamp > fromTime && note.timestamp <= toTime) passed.push(note);
+      }
+    }
+    return passed;
+  }
+
+  /**
+   * Formats a time of day as HH:MM.
+   * @param {number} secondsIntoDay - Seconds elapsed since midnight.
+   * @param {{secondsInMinute: number, secondsPerHour: number}} timeConfig - The calendar's time units.
+   * @returns {string}
+   */
+  static formatTime(secondsIntoDay, timeConfig) {
+    const hours = Math.floor(secondsIntoDay / timeConfig.secondsPerHour);
+    const minutes = Math.floor((secondsIntoDay % timeConfig.secondsPerHour) / timeConfig.secondsInMinute);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  /**
+   * Tells the current user about passed notes, as a notification or a chat whisper to themselves
+   * depending on their eventAlerts setting. Several notes passed in one jump are listed together.
+   * @param {Array<{name: string, allDay: boolean, secondsIntoDay: number, timestamp: number}>} notes - The passed notes, in order.
+   * @param {{secondsInMinute: number, secondsPerHour: number, secondsPerDay: number}} timeConfig - The calendar's time units.
+   */
+  static announce(notes, timeConfig) {
+    const mode = SolunaDialSettings.get('eventAlerts');
+    if (!notes.length || mode === 'none') return;
+    const spansDays = Math.floor(notes[0].timestamp / timeConfig.secondsPerDay) !== Math.floor(notes[notes.length - 1].timestamp / timeConfig.secondsPerDay);
+    const describe = note => {
+      let when = note.allDay ? game.i18n.localize('soluna-dial.events.allDay') : SolunaDialEvents.formatTime(note.secondsIntoDay, timeConfig);
+      const date = spansDays ? SolunaDialCalendar.getDate(note.timestamp)?.display : null;
+      if (date) when = `${date}, ${when}`;
+      return `${note.name} (${when})`;
+    };
+
+    if (mode === 'whisper') {
+      const items = notes.map(note => `<li>${Handlebars.escapeExpression(describe(note))}</li>`).join('');
+      const heading = notes.length === 1
+        ? game.i18n.localize('soluna-dial.events.whisperOne')
+        : game.i18n.format('soluna-dial.events.whisperMany', { count: notes.length });
+      ChatMessage.create({
+        content: `<p><strong>${heading}</strong></p><ul>${items}</ul>`,
+        whisper: [game.user.id],
+        speaker: { alias: 'Soluna Dial' }
+      }).catch(error => {
+        console.error(`${MODULE_ID} | Error whispering passed calendar notes:`, error);
+      });
+    } else {
+      const message = notes.length === 1
+        ? game.i18n.format('soluna-dial.events.notifyOne', { event: describe(notes[0]) })
+        : game.i18n.format('soluna-dial.events.notifyMany', { count: notes.length, events: notes.map(describe).join(', ') });
+      ui.notifications.info(message, { permanent: notes.length > 1 });
+    }
+  }
+}
@@ -0,0 +1,150 @@
+import { SolunaDialSettings } from './solunaDialSettings.js';
+import { SolunaDialCalendar } from './solunaDialCalendar.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Format templates for the time and date shown in the time bar.
+ * A template is plain text with tokens in braces, e.g. "{h}:{mm} {A}" or "{weekday}, {Do} {monthName}".
+ * Unknown tokens are left as written.
+ */
+export class SolunaDialFormat {
+  /**
+   * Time format used when the timeFormat setting is empty.
+   * @type {string}
+   */
+  static DEFAULT_TIME_FORMAT = '{HH}:{mm}';
+
+  /**
+   * Date format used when the dateFormat setting is empty.
+   * @type {string}
+   */
+  static DEFAULT_DATE_FORMAT = '{D} {monthName}, {year}';
+
+  /**
+   * Returns the time template to draw. An empty template uses the default, and Show Seconds adds
+   * seconds after the minutes of templates without a seconds token.
+   * @param {string} template - The timeFormat setting.
+   * @param {boolean} showSeconds - The Show Seconds setting.
+   * @returns {string}
+   */
+  static getTimeTemplate(template, showSeconds) {
+    const base = String(template ?? '').trim() || SolunaDialFormat.DEFAULT_TIME_FORMAT;
+    if (!showSeconds || /\{ss?\}/.test(base)) return base;
+    return base.replace(/(\{mm?\})/, '$1:{ss}');
+  }
+
+  /**
+   * Returns the date template to draw. An empty template uses the default.
+   * @param {string} template - The dateFormat setting.
+   * @returns {string}
+   */
+  static getDateTemplate(template) {
+    return String(template ?? '').trim() || SolunaDialFormat.DEFAULT_DATE_FORMAT;
+  }
+
+  /**
+   * Replaces the tokens of a template.
+   * @param {string} template - The template.
+   * @param {Object<string, string|number>} values - Token values by token name.
+   * @returns {string}
+   */
+  static render(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, token) => (token in values ? String(values[token]) : match));
+  }
+
+  /**
+   * Formats a time of day. The 12-hour clock splits the calendar's day in two halves, so it also
+   * works for calendars that do not have 24 hours.
+   * @param {string} template - The time template.
+   * @param {{hours: number, minutes: number, seconds: number}} time - The time of day.
+   * @param {number} [hoursInDay=24] - Hours in the calendar's day.
+   * @returns {string}
+   */
+  static formatTime(template, { hours, minutes, seconds }, hoursInDay = 24) {
+    const half = Math.max(1, Math.floor(hoursInDay / 2));
+    const hours12 = hours % half || half;
+    const isAfternoon = hours >= half;
+    const meridiem = game.i18n.localize(isAfternoon ? 'soluna-dial.format.pm' : 'soluna-dial.format.am');
+    return SolunaDialFormat.render(template, {
+      H: hours,
+      HH: String(hours).padStart(2, '0'),
+      h: hours12,
+      hh: String(hours12).padStart(2, '0'),
+      m: minutes,
+      mm: String(minutes).padStart(2, '0'),
+      s: seconds,
+      ss: String(seconds).padStart(2, '0'),
+      A: meridiem.toUpperCase(),
+      a: meridiem.toLowerCase()
+    });
+  }
+
+  /**
+   * Formats a calendar date.
+   * @param {string} template - The date template.
+   * @param {{day: number, month: number, monthName: string, weekday: string, year: number, yearPrefix: string, yearPostfix: string, yearName: string, era: string}} date - The date, from {@link SolunaDialCalendar.getDate}.
+   * @returns {string}
+   */
+  static formatDate(template, date) {
+    return SolunaDialFormat.render(template, {
+      weekday: date.weekday,
+      D: date.day,
+      DD: String(date.day).padStart(2, '0'),
+      Do: SolunaDialFormat.ordinal(date.day),
+      monthName: date.monthName,
+      M: date.month,
+      MM: String(date.month).padStart(2, '0'),
+      Y: date.year,
+      year: `${date.yearPrefix}${date.year}${date.yearPostfix}`,
+      yearName: date.yearName,
+      era: date.era
+    }).trim().replace(/,\s*$/, '');
+  }
+
+  /**
+   * Returns a day number with its ordinal suffix in the client's language, e.g. "1st" or "1.".
+   * @param {number} day - The day number.
+   * @returns {string}
+   */
+  static ordinal(day) {
+    let category = 'other';
+    try {
+      category = new Intl.PluralRules(game.i18n.lang, { type: 'ordinal' }).select(day);
+    } catch (e) {
+      // Unknown language codes use the plain form
+    }
+    const key = `soluna-dial.format.ordinal.${category}`;
+    return game.i18n.format(game.i18n.has(key) ? key : 'soluna-dial.format.ordinal.other', { day });
+  }
+
+  /**
+   * Adds a live preview below the time and date format fields of the settings configuration.
+   * @param {SettingsConfig} app - The settings configuration.
+   * @param {jQuery} html - The rendered configuration.
+   */
+  static onRenderSettingsConfig(app, html) {
+    const api = game.modules.get(MODULE_ID)?._dial;
+    const previews = {
+      timeFormat: template => SolunaDialFormat.formatTime(
+        SolunaDialFormat.getTimeTemplate(template, SolunaDialSettings.get('toggleSecondsDisplay')),
+        api ? api._getTimeOfDay() : { hours: 0, minutes: 0, seconds: 0 },
+        SolunaDialCalendar.getTimeConfig().hoursInDay
+      ),
+      dateFormat: template => {
+        if (!SolunaDialCalendar.getProvider()) return game.i18n.localize('soluna-dial.calendar.inactive');
+        const date = SolunaDialCalendar.getDate();
+        return date ? SolunaDialFormat.formatDate(SolunaDialFormat.getDateTemplate(template), date) : game.i18n.localize('soluna-dial.calendar.noDate');
+      }
+    };
+    for (const [key, preview] of Object.entries(previews)) {
+      const input = html.find(`input[name="${MODULE_ID}.${key}"]`);
+      if (!input.length) continue;
+      const output = $('<p class="notes soluna-dial-format-preview"></p>');
+      const update = () => output.text(game.i18n.format('soluna-dial.format.preview', { value: preview(input.val()) }));
+      input.closest('.form-group').append(output);
+      input.on('input', update);
+      update();
+    }
+  }
+}
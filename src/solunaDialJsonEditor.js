@@ -0,0 +1,64 @@
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * A dialog for GMs to edit an object-valued world setting as JSON text.
+ */
+export class SolunaDialJsonEditor {
+  /**
+   * Opens the editor.
+   * @param {object} options
+   * @param {string} options.title - The dialog title.
+   * @param {string} options.label - What is being edited, used in notifications (e.g. "Climate tables").
+   * @param {string} options.notes - Explanation shown above the text area (HTML).
+   * @param {string} options.settingKey - The world setting the JSON is saved to.
+   * @param {object} options.value - The value to start editing from.
+   * @param {*} [options.resetValue={}] - The value saved by "Reset to Defaults".
+   */
+  static show({ title, label, notes, settingKey, value, resetValue = {} }) {
+    if (!game.user.isGM) return;
+    const content = `
+      <form>
+        <p class="notes">${notes}</p>
+        <div class="form-group stacked">
+          <textarea class="soluna-dial-json" style="width: 100%; height: 360px; font-family: monospace;">${Handlebars.escapeExpression(JSON.stringify(value, null, 2))}</textarea>
+        </div>
+      </form>
+    `;
+
+    new Dialog({
+      title: title,
+      content: content,
+      buttons: {
+        save: {
+          label: game.i18n.localize('soluna-dial.common.save'),
+          callback: async (html) => {
+            let parsed;
+            try {
+              parsed = JSON.parse(html.find('.soluna-dial-json')[0].value);
+            } catch (e) {
+              ui.notifications.error(game.i18n.format('soluna-dial.jsonEditor.invalidJson', { label, error: e.message }));
+              return;
+            }
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+              ui.notifications.error(game.i18n.format('soluna-dial.jsonEditor.notAnObject', { label }));
+              return;
+            }
+            await game.settings.set(MODULE_ID, settingKey, parsed);
+            ui.notifications.info(game.i18n.format('soluna-dial.jsonEditor.saved', { label }));
+          }
+        },
+        reset: {
+          label: game.i18n.localize('soluna-dial.jsonEditor.reset'),
+          callback: async () => {
+            await game.settings.set(MODULE_ID, settingKey, resetValue);
+            ui.notifications.info(game.i18n.format('soluna-dial.jsonEditor.wasReset', { label }));
+          }
+        },
+        cancel: {
+          label: game.i18n.localize('soluna-dial.common.cancel')
+        }
+      },
+      default: 'save'
+    }, { width: 520 }).render(true);
+  }
+}
@@ -0,0 +1,113 @@
+import { SolunaDialJsonEditor } from './solunaDialJsonEditor.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Mirrors the dial's weather onto a scene's weather effect.
+ * Uses FXMaster particle effects when that module is active, otherwise the core scene weather effect.
+ */
+export class SolunaDialSceneEffects {
+  /**
+   * Default mapping from weather condition to effects.
+   * `core` is a key of CONFIG.weatherEffects (empty for none); `fxmaster` lists FXMaster particle types.
+   * @type {Object<string, {core: string, fxmaster: string[]}>}
+   */
+  static DEFAULT_MAPPING = {
+    clear: { core: '', fxmaster: [] },
+    cloudy: { core: '', fxmaster: ['clouds'] },
+    overcast: { core: '', fxmaster: ['clouds'] },
+    rainy: { core: 'rain', fxmaster: ['rain'] },
+    stormy: { core: 'rainStorm', fxmaster: ['rain', 'clouds'] },
+    foggy: { core: 'fog', fxmaster: ['fog'] },
+    snowy: { core: 'snow', fxmaster: ['snow'] },
+    blizzard: { core: 'blizzard', fxmaster: ['snowstorm'] },
+    windy: { core: 'leaves', fxmaster: ['leaves'] },
+    hot: { core: '', fxmaster: [] },
+    heatwave: { core: '', fxmaster: [] },
+    cold: { core: '', fxmaster: [] },
+    humid: { core: '', fxmaster: [] },
+    dry: { core: '', fxmaster: [] }
+  };
+
+  /**
+   * Last FXMaster effects applied per scene id, to avoid resending unchanged effects.
+   * @type {Map<string, string>}
+   * @private
+   */
+  static _appliedFxMaster = new Map();
+
+  /**
+   * Forgets which FXMaster effects were applied, so they are sent again on the next sync.
+   * @param {string} [sceneId] - The scene to forget. Omit to forget every scene.
+   */
+  static forgetApplied(sceneId) {
+    if (sceneId === undefined) SolunaDialSceneEffects._appliedFxMaster.clear();
+    else SolunaDialSceneEffects._appliedFxMaster.delete(sceneId);
+  }
+
+  /**
+   * Returns the condition-to-effect mapping, using the GM's edited mapping when present.
+   * @returns {Object<string, {core: string, fxmaster: string[]}>}
+   */
+  static getMapping() {
+    const mapping = game.settings.get(MODULE_ID, 'weatherEffectMapping');
+    if (mapping && typeof mapping === 'object' && Object.keys(mapping).length > 0) return mapping;
+    return SolunaDialSceneEffects.DEFAULT_MAPPING;
+  }
+
+  /**
+   * Whether FXMaster is installed and active.
+   * @returns {boolean}
+   */
+  static isFxMasterActive() {
+    return !!game.modules.get('fxmaster')?.active;
+  }
+
+  /**
+   * Applies the effects mapped to a weather state to a scene.
+   * FXMaster effects can only be set on the scene shown on this client's canvas.
+   * @param {Scene} scene - The scene to update.
+   * @param {object|null} weather - The scene's weather state.
+   */
+  static async applyToScene(scene, weather) {
+    if (!scene || !weather) return;
+    const entry = SolunaDialSceneEffects.getMapping()[weather.condition] ?? { core: '', fxmaster: [] };
+
+    if (SolunaDialSceneEffects.isFxMasterActive()) {
+      // Core weather would double up with the particles
+      if (scene.weather) await scene.update({ weather: '' });
+      if (scene.id !== canvas?.scene?.id) return;
+      const types = Array.isArray(entry.fxmaster) ? entry.fxmaster : [entry.fxmaster].filter(Boolean);
+      // Heavier precipitation means denser particles
+      const intensity = weather.precipitation?.intensity > 0 ? weather.precipitation.intensity : 0.5;
+      const effects = types.map(type => ({ type, options: { density: Math.round((0.1 + intensity * 0.4) * 100) / 100 } }));
+      const key = JSON.stringify(effects);
+      // Effects removed in FXMaster by hand are no longer in the scene's flags, and are sent again
+      const present = Object.values(scene.flags?.fxmaster?.effects ?? {}).map(effect => effect?.type).sort();
+      const unchanged = JSON.stringify(present) === JSON.stringify([...types].sort());
+      if (unchanged && SolunaDialSceneEffects._appliedFxMaster.get(scene.id) === key) return;
+      SolunaDialSceneEffects._appliedFxMaster.set(scene.id, key);
+      Hooks.call('fxmaster.updateParticleEffects', effects);
+      return;
+    }
+
+    const effect = entry.core && CONFIG.weatherEffects?.[entry.core] ? entry.core : '';
+    if ((scene.weather ?? '') !== effect) {
+      await scene.update({ weather: effect });
+    }
+  }
+
+  /**
+   * Opens a dialog for GMs to edit the condition-to-effect mapping as JSON.
+   */
+  static showMappingEditor() {
+    const coreEffects = Object.keys(CONFIG.weatherEffects ?? {}).join(', ');
+    SolunaDialJsonEditor.show({
+      title: game.i18n.localize('soluna-dial.settings.weatherEffectMappingMenu.name'),
+      label: game.i18n.localize('soluna-dial.sceneEffects.label'),
+      notes: game.i18n.format('soluna-dial.sceneEffects.notes', { effects: coreEffects || game.i18n.localize('soluna-dial.sceneEffects.noneAvailable') }),
+      settingKey: 'weatherEffectMapping',
+      value: SolunaDialSceneEffects.getMapping()
+    });
+  }
+}
@@ -1,3 +1,11 @@
+import { SolunaDialWeather } from './solunaDialWeather.js';
+import { SolunaDialSceneEffects } from './solunaDialSceneEffects.js';
+import { SolunaDialTimeControls } from './solunaDialTimeControls.js';
+import { SolunaDialClock } from './solunaDialClock.js';
+import { SolunaDialThemes } from './solunaDialThemes.js';
+import { SolunaDialBuiltinCalendar } from './solunaDialBuiltinCalendar.js';
+import { SolunaDialSky } from './solunaDialSky.js';
+
 const MODULE_ID = 'soluna-dial';
 
 /**
@@ -9,215 +17,831 @@ export class SolunaDialSettings {
 
     // --- Display Toggle Settings ---
     game.settings.register(MODULE_ID, 'masterHudToggle', {
-      name: 'Master HUD Toggle',
-      hint: 'Globally enable or disable the Soluna Dial.',
+      name: 'soluna-dial.settings.masterHudToggle.name',
+      hint: 'soluna-dial.settings.masterHudToggle.hint',
       scope: 'client',
       config: true,
       type: Boolean,
       default: true,
       onChange: visible => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setMasterHudToggle(visible);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setMasterHudToggle(visible);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'compactMode', {
+      name: 'soluna-dial.settings.compactMode.name',
+      hint: 'soluna-dial.settings.compactMode.hint',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      default: false,
+      onChange: compact => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setCompactMode(compact);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'toggleCalendarDisplay', {
-      name: 'Show Calendar',
-      hint: 'Display calendar information in the time bar.',
+      name: 'soluna-dial.settings.toggleCalendarDisplay.name',
+      hint: 'soluna-dial.settings.toggleCalendarDisplay.hint',
       scope: 'client',
       config: true,
       type: Boolean,
       default: true,
       onChange: visible => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setToggleCalendarDisplay(visible);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setToggleCalendarDisplay(visible);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'toggleSecondsDisplay', {
-      name: 'Show Seconds',
-      hint: 'Display seconds in the time display.',
+      name: 'soluna-dial.settings.toggleSecondsDisplay.name',
+      hint: 'soluna-dial.settings.toggleSecondsDisplay.hint',
       scope: 'client',
       config: true,
       type: Boolean,
       default: false,
       onChange: display => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setToggleSecondsDisplay(display);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setToggleSecondsDisplay(display);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'timeFormat', {
+      name: 'soluna-dial.settings.timeFormat.name',
+      hint: 'soluna-dial.settings.timeFormat.hint',
+      scope: 'client',
+      config: true,
+      type: String,
+      default: '{HH}:{mm}',
+      onChange: format => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setTimeFormat(format);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'dateFormat', {
+      name: 'soluna-dial.settings.dateFormat.name',
+      hint: 'soluna-dial.settings.dateFormat.hint',
+      scope: 'client',
+      config: true,
+      type: String,
+      default: '{D} {monthName}, {year}',
+      onChange: format => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setDateFormat(format);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'toggleDialMarker', {
-      name: 'Show Time Marker',
-      hint: 'Display the current time marker on the dial.',
+      name: 'soluna-dial.settings.toggleDialMarker.name',
+      hint: 'soluna-dial.settings.toggleDialMarker.hint',
       scope: 'client',
       config: true,
       type: Boolean,
       default: true,
       onChange: visible => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setToggleDialMarker(visible);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setToggleDialMarker(visible);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'temperatureUnit', {
+      name: 'soluna-dial.settings.temperatureUnit.name',
+      hint: 'soluna-dial.settings.temperatureUnit.hint',
+      scope: 'client',
+      config: true,
+      type: String,
+      default: 'C',
+      choices: {
+        C: 'soluna-dial.settings.temperatureUnit.choices.C',
+        F: 'soluna-dial.settings.temperatureUnit.choices.F'
+      },
+      onChange: unit => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setTemperatureUnit(unit);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'toggleWeatherDisplay', {
-      name: 'Show Weather',
-      hint: 'Display weather information on the dial.',
+      name: 'soluna-dial.settings.toggleWeatherDisplay.name',
+      hint: 'soluna-dial.settings.toggleWeatherDisplay.hint',
       scope: 'client',
       config: true,
       type: Boolean,
       default: true,
       onChange: visible => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setToggleWeatherDisplay(visible);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setToggleWeatherDisplay(visible);
         }
       }
     });
 
     // --- World Settings (shared across all clients) ---
-    game.settings.register(MODULE_ID, 'currentWeather', {
+    game.settings.register(MODULE_ID, 'weatherState', {
       name: 'Current Weather',
-      hint: 'The current weather condition for the world.',
+      hint: 'The current weather state for the world: condition, temperature, wind, precipitation, cloud cover and visibility.',
       scope: 'world',
       config: false, // Hidden from config menu
-      type: String,
-      default: 'CLEAR',
+      type: Object,
+      default: {},
       onChange: weather => {
-        // Update all clients when weather changes
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api._currentWeather = weather;
-          game.modules.get(MODULE_ID).api.updateWeatherDisplay(weather);
-          game.modules.get(MODULE_ID).api._ensureWeatherTextOnTop();
-          console.log(`${MODULE_ID} | Weather setting changed to: ${weather}`);
+        // Update all clients when weather changes; scenes with region or scene weather keep theirs
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._refreshSceneWeather();
+          console.log(`${MODULE_ID} | Weather setting changed to: ${weather?.condition}`);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'weatherRegions', {
+      name: 'Weather Regions',
+      hint: 'Named regions with their own climate and weather, shared by the scenes assigned to them.',
+      scope: 'world',
+      config: false, // Edited through the weather regions menu
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._refreshSceneWeather();
+        }
+      }
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'weatherRegionsMenu', {
+      name: 'soluna-dial.settings.weatherRegionsMenu.name',
+      label: 'soluna-dial.settings.weatherRegionsMenu.label',
+      hint: 'soluna-dial.settings.weatherRegionsMenu.hint',
+      icon: 'fas fa-map-marked-alt',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialWeather.showRegionsEditor();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the regions dialog saves the setting itself
         }
+      },
+      restricted: true
+    });
+
+    // Legacy plain-string weather, only read to migrate older worlds to weatherState
+    game.settings.register(MODULE_ID, 'currentWeather', {
+      name: 'Current Weather (Legacy)',
+      hint: 'The weather condition string used before structured weather.',
+      scope: 'world',
+      config: false, // Hidden from config menu
+      type: String,
+      default: ''
+    });
+
+    // --- Weather Generator Settings ---
+    game.settings.register(MODULE_ID, 'autoWeather', {
+      name: 'soluna-dial.settings.autoWeather.name',
+      hint: 'soluna-dial.settings.autoWeather.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false
+    });
+
+    game.settings.register(MODULE_ID, 'weatherClimate', {
+      name: 'soluna-dial.settings.weatherClimate.name',
+      hint: 'soluna-dial.settings.weatherClimate.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'temperate',
+      choices: {
+        temperate: 'soluna-dial.weather.climates.temperate',
+        arctic: 'soluna-dial.weather.climates.arctic',
+        desert: 'soluna-dial.weather.climates.desert',
+        tropical: 'soluna-dial.weather.climates.tropical'
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'weatherContinuity', {
+      name: 'soluna-dial.settings.weatherContinuity.name',
+      hint: 'soluna-dial.settings.weatherContinuity.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 0.6,
+      range: { min: 0.0, max: 1.0, step: 0.05 }
+    });
+
+    game.settings.register(MODULE_ID, 'weatherForecastDays', {
+      name: 'soluna-dial.settings.weatherForecastDays.name',
+      hint: 'soluna-dial.settings.weatherForecastDays.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 0,
+      range: { min: 0, max: 14, step: 1 }
+    });
+
+    game.settings.register(MODULE_ID, 'weatherForecast', {
+      name: 'Weather Forecast',
+      hint: 'The planned weather for the upcoming days.',
+      scope: 'world',
+      config: false, // Edited through the forecast dialog
+      type: Array,
+      default: []
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'weatherForecastMenu', {
+      name: 'soluna-dial.settings.weatherForecastMenu.name',
+      label: 'soluna-dial.settings.weatherForecastMenu.label',
+      hint: 'soluna-dial.settings.weatherForecastMenu.hint',
+      icon: 'fas fa-calendar-day',
+      type: class extends FormApplication {
+        render() {
+          game.modules.get(MODULE_ID)?._dial?._showForecastDialog();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the forecast dialog saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
+    game.settings.register(MODULE_ID, 'weatherClimateTables', {
+      name: 'Weather Climate Tables',
+      hint: 'Condition weights per climate and season. Empty uses the built-in tables.',
+      scope: 'world',
+      config: false, // Edited through the climate tables menu
+      type: Object,
+      default: {}
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'weatherClimateTablesMenu', {
+      name: 'soluna-dial.settings.weatherClimateTablesMenu.name',
+      label: 'soluna-dial.settings.weatherClimateTablesMenu.label',
+      hint: 'soluna-dial.settings.weatherClimateTablesMenu.hint',
+      icon: 'fas fa-cloud-sun-rain',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialWeather.showClimateTablesEditor();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the editor dialog saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
+    // --- Scene Weather Effect Settings ---
+    game.settings.register(MODULE_ID, 'syncSceneWeather', {
+      name: 'soluna-dial.settings.syncSceneWeather.name',
+      hint: 'soluna-dial.settings.syncSceneWeather.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+      onChange: () => {
+        // Effects changed while syncing was off are sent again when it is turned back on
+        SolunaDialSceneEffects.forgetApplied();
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._syncSceneEffects();
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'weatherEffectMapping', {
+      name: 'Weather Effect Mapping',
+      hint: 'Scene weather effect for each weather condition. Empty uses the built-in mapping.',
+      scope: 'world',
+      config: false, // Edited through the weather effect mapping menu
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._syncSceneEffects();
+        }
+      }
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'weatherEffectMappingMenu', {
+      name: 'soluna-dial.settings.weatherEffectMappingMenu.name',
+      label: 'soluna-dial.settings.weatherEffectMappingMenu.label',
+      hint: 'soluna-dial.settings.weatherEffectMappingMenu.hint',
+      icon: 'fas fa-cloud-showers-heavy',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialSceneEffects.showMappingEditor();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the mapping editor saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
+    // --- Scene Darkness Settings ---
+    game.settings.register(MODULE_ID, 'syncSceneDarkness', {
+      name: 'soluna-dial.settings.syncSceneDarkness.name',
+      hint: 'soluna-dial.settings.syncSceneDarkness.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._syncSceneDarkness();
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'darknessAtNight', {
+      name: 'soluna-dial.settings.darknessAtNight.name',
+      hint: 'soluna-dial.settings.darknessAtNight.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 1.0,
+      range: { min: 0.0, max: 1.0, step: 0.05 },
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._syncSceneDarkness();
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'darknessTwilightHours', {
+      name: 'soluna-dial.settings.darknessTwilightHours.name',
+      hint: 'soluna-dial.settings.darknessTwilightHours.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 1.5,
+      range: { min: 0, max: 4, step: 0.25 },
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._syncSceneDarkness();
+        }
+      }
+    });
+
+    // --- Time Control Settings ---
+    game.settings.register(MODULE_ID, 'timeAdvanceControls', {
+      name: 'Time Advance Buttons',
+      hint: 'Buttons and click modifiers for advancing time. Empty uses the built-in buttons.',
+      scope: 'world',
+      config: false, // Edited through the time advance buttons menu
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._invalidate('controls');
+        }
+      }
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'timeAdvanceControlsMenu', {
+      name: 'soluna-dial.settings.timeAdvanceControlsMenu.name',
+      label: 'soluna-dial.settings.timeAdvanceControlsMenu.label',
+      hint: 'soluna-dial.settings.timeAdvanceControlsMenu.hint',
+      icon: 'fas fa-forward',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialTimeControls.showEditor();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the editor dialog saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
+    game.settings.register(MODULE_ID, 'realtimeClockRatio', {
+      name: 'soluna-dial.settings.realtimeClockRatio.name',
+      hint: 'soluna-dial.settings.realtimeClockRatio.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 60,
+      onChange: () => {
+        SolunaDialClock.onRatioChange();
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._updateClockButton();
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'realtimeClock', {
+      name: 'Real-Time Clock State',
+      hint: 'Whether the real-time clock runs, and the moment it last started from.',
+      scope: 'world',
+      config: false, // Toggled with the play/pause control in the time bar
+      type: Object,
+      default: { running: false, anchorRealTime: 0, anchorWorldTime: 0 },
+      onChange: () => {
+        SolunaDialClock.refresh();
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._updateClockButton();
+        }
+      }
+    });
+
+    // --- Combat Settings ---
+    game.settings.register(MODULE_ID, 'combatTimeTracking', {
+      name: 'soluna-dial.settings.combatTimeTracking.name',
+      hint: 'soluna-dial.settings.combatTimeTracking.hint',
+      scope: 'world',
+      config: true,
+      type: Boolean,
+      default: false,
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.updateTimeDisplay();
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'combatRoundSeconds', {
+      name: 'soluna-dial.settings.combatRoundSeconds.name',
+      hint: 'soluna-dial.settings.combatRoundSeconds.hint',
+      scope: 'world',
+      config: true,
+      type: Number,
+      default: 6,
+      range: { min: 0, max: 60, step: 1 }
+    });
+
+    // --- Built-in Calendar Settings ---
+    game.settings.register(MODULE_ID, 'builtinCalendar', {
+      name: 'soluna-dial.settings.builtinCalendar.name',
+      hint: 'soluna-dial.settings.builtinCalendar.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'gregorian',
+      choices: {
+        none: 'soluna-dial.settings.builtinCalendar.choices.none',
+        gregorian: 'soluna-dial.settings.builtinCalendar.choices.gregorian',
+        harptos: 'soluna-dial.settings.builtinCalendar.choices.harptos',
+        golarion: 'soluna-dial.settings.builtinCalendar.choices.golarion',
+        custom: 'soluna-dial.settings.builtinCalendar.choices.custom'
+      },
+      onChange: () => SolunaDialBuiltinCalendar.onSettingChange()
+    });
+
+    game.settings.register(MODULE_ID, 'customCalendar', {
+      name: 'Custom Calendar',
+      hint: 'The calendar definition used when the Built-in Calendar setting is "Custom".',
+      scope: 'world',
+      config: false, // Edited through the custom calendar menu
+      type: Object,
+      default: {},
+      onChange: () => SolunaDialBuiltinCalendar.onSettingChange()
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'customCalendarMenu', {
+      name: 'soluna-dial.settings.customCalendarMenu.name',
+      label: 'soluna-dial.settings.customCalendarMenu.label',
+      hint: 'soluna-dial.settings.customCalendarMenu.hint',
+      icon: 'fas fa-calendar-alt',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialBuiltinCalendar.showEditor();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the editor dialog saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
+    // --- Calendar Event Settings ---
+    game.settings.register(MODULE_ID, 'showEventPins', {
+      name: 'soluna-dial.settings.showEventPins.name',
+      hint: 'soluna-dial.settings.showEventPins.hint',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      default: true,
+      onChange: visible => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setShowEventPins(visible);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'eventAlerts', {
+      name: 'soluna-dial.settings.eventAlerts.name',
+      hint: 'soluna-dial.settings.eventAlerts.hint',
+      scope: 'client',
+      config: true,
+      type: String,
+      default: 'notification',
+      choices: {
+        none: 'soluna-dial.settings.eventAlerts.choices.none',
+        notification: 'soluna-dial.settings.eventAlerts.choices.notification',
+        whisper: 'soluna-dial.settings.eventAlerts.choices.whisper'
       }
     });
 
     // --- Size and Position Settings ---
     game.settings.register(MODULE_ID, 'globalUiSize', {
-      name: 'Global UI Size',
-      hint: 'Adjust overall size of the HUD.',
+      name: 'soluna-dial.settings.globalUiSize.name',
+      hint: 'soluna-dial.settings.globalUiSize.hint',
       scope: 'client',
       config: true,
       type: Number,
       default: 1.0,
       range: { min: 0.2, max: 3.0, step: 0.05 },
       onChange: scale => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setGlobalUiSize(scale);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setGlobalUiSize(scale);
         }
       }
     });
 
+    game.settings.register(MODULE_ID, 'hudAnchor', {
+      name: 'soluna-dial.settings.hudAnchor.name',
+      hint: 'soluna-dial.settings.hudAnchor.hint',
+      scope: 'client',
+      config: true,
+      type: String,
+      default: 'top-center',
+      choices: {
+        'top-left': 'soluna-dial.settings.hudAnchor.choices.top-left',
+        'top-center': 'soluna-dial.settings.hudAnchor.choices.top-center',
+        'top-right': 'soluna-dial.settings.hudAnchor.choices.top-right',
+        'bottom-center': 'soluna-dial.settings.hudAnchor.choices.bottom-center',
+        custom: 'soluna-dial.settings.hudAnchor.choices.custom'
+      },
+      onChange: anchor => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setHudAnchor(anchor);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'hudPosition', {
+      name: 'HUD Dragged Position',
+      hint: 'Left and top of the HUD in pixels, saved when it is dragged.',
+      scope: 'client',
+      config: false,
+      type: Object,
+      default: { left: 0, top: 0 }
+    });
+
     game.settings.register(MODULE_ID, 'hudTopPadding', {
-      name: 'HUD Top Padding',
-      hint: 'CSS top value for HUD position (e.g., "10px", "1rem").',
+      name: 'soluna-dial.settings.hudTopPadding.name',
+      hint: 'soluna-dial.settings.hudTopPadding.hint',
       scope: 'client',
       config: true,
       type: String,
       default: '0px',
       onChange: padding => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setHudTopPadding(padding);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setHudTopPadding(padding);
+        }
+      }
+    });
+
+    // --- Theme Settings ---
+    game.settings.register(MODULE_ID, 'themePreset', {
+      name: 'soluna-dial.settings.themePreset.name',
+      hint: 'soluna-dial.settings.themePreset.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'default',
+      choices: {
+        default: 'soluna-dial.settings.themePreset.choices.default',
+        parchment: 'soluna-dial.settings.themePreset.choices.parchment',
+        'high-contrast': 'soluna-dial.settings.themePreset.choices.high-contrast',
+        'sci-fi': 'soluna-dial.settings.themePreset.choices.sci-fi',
+        custom: 'soluna-dial.settings.themePreset.choices.custom'
+      },
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setTheme();
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'customTheme', {
+      name: 'Custom Theme',
+      hint: 'The imported theme used when the Theme setting is "Custom".',
+      scope: 'world',
+      config: false, // Set through the import / export menu
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setTheme();
         }
       }
     });
 
+    game.settings.registerMenu(MODULE_ID, 'themeMenu', {
+      name: 'soluna-dial.settings.themeMenu.name',
+      label: 'soluna-dial.settings.themeMenu.label',
+      hint: 'soluna-dial.settings.themeMenu.hint',
+      icon: 'fas fa-palette',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialThemes.showImportExport();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the import dialog saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
     // --- Font Settings ---
     game.settings.register(MODULE_ID, 'globalFontFamily', {
-      name: 'Font Family',
-      hint: 'Font family for all text elements.',
+      name: 'soluna-dial.settings.globalFontFamily.name',
+      hint: 'soluna-dial.settings.globalFontFamily.hint',
       scope: 'client',
       config: true,
       type: String,
       default: 'Signika',
       choices: FontConfig.getAvailableFontChoices(),
       onChange: fontFamily => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setGlobalFontFamily(fontFamily);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setGlobalFontFamily(fontFamily);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'globalFontOpacity', {
-      name: 'Font Opacity',
-      hint: 'Opacity of all text elements.',
+      name: 'soluna-dial.settings.globalFontOpacity.name',
+      hint: 'soluna-dial.settings.globalFontOpacity.hint',
       scope: 'client',
       config: true,
       type: Number,
       default: 1.0,
       range: { min: 0.1, max: 1.0, step: 0.05 },
       onChange: opacity => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setGlobalFontOpacity(opacity);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setGlobalFontOpacity(opacity);
         }
       }
     });
 
     // --- Visual Settings ---
     game.settings.register(MODULE_ID, 'topBarOpacity', {
-      name: 'Top Bar Opacity',
-      hint: 'Background opacity of the top time bar.',
+      name: 'soluna-dial.settings.topBarOpacity.name',
+      hint: 'soluna-dial.settings.topBarOpacity.hint',
       scope: 'client',
       config: true,
       type: Number,
       default: 0.7,
       range: { min: 0.0, max: 1.0, step: 0.05 },
       onChange: alpha => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setTopBarOpacity(alpha);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setTopBarOpacity(alpha);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'dialImageOpacity', {
-      name: 'Dial Image Opacity',
-      hint: 'Opacity of the dial background image.',
+      name: 'soluna-dial.settings.dialImageOpacity.name',
+      hint: 'soluna-dial.settings.dialImageOpacity.hint',
       scope: 'client',
       config: true,
       type: Number,
       default: 1.0,
       range: { min: 0.0, max: 1.0, step: 0.05 },
       onChange: alpha => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setDialImageOpacity(alpha);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setDialImageOpacity(alpha);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'dialMarkerColor', {
-      name: 'Dial Marker Color',
-      hint: 'Color of the current time marker.',
+      name: 'soluna-dial.settings.dialMarkerColor.name',
+      hint: 'soluna-dial.settings.dialMarkerColor.hint',
       scope: 'client',
       config: true,
       type: String,
       default: '#FFFFFF',
       onChange: color => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setDialMarkerColor(color);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setDialMarkerColor(color);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'dialMarkerOpacity', {
-      name: 'Dial Marker Opacity',
-      hint: 'Opacity of the current time marker.',
+      name: 'soluna-dial.settings.dialMarkerOpacity.name',
+      hint: 'soluna-dial.settings.dialMarkerOpacity.hint',
       scope: 'client',
       config: true,
       type: Number,
       default: 1.0,
       range: { min: 0.0, max: 1.0, step: 0.05 },
       onChange: alpha => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setDialMarkerOpacity(alpha);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setDialMarkerOpacity(alpha);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'weatherEffects', {
+      name: 'soluna-dial.settings.weatherEffects.name',
+      hint: 'soluna-dial.settings.weatherEffects.hint',
+      scope: 'client',
+      config: true,
+      type: String,
+      default: 'full',
+      choices: {
+        full: 'soluna-dial.settings.weatherEffects.choices.full',
+        performance: 'soluna-dial.settings.weatherEffects.choices.performance',
+        off: 'soluna-dial.settings.weatherEffects.choices.off'
+      },
+      onChange: level => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setWeatherEffects(level);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'reducedMotion', {
+      name: 'soluna-dial.settings.reducedMotion.name',
+      hint: 'soluna-dial.settings.reducedMotion.hint',
+      scope: 'client',
+      config: true,
+      type: Boolean,
+      // Follows the operating system's reduced motion preference until the player chooses
+      default: window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false,
+      onChange: reduced => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setReducedMotion(reduced);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'dialStyle', {
+      name: 'soluna-dial.settings.dialStyle.name',
+      hint: 'soluna-dial.settings.dialStyle.hint',
+      scope: 'world',
+      config: true,
+      type: String,
+      default: 'image',
+      choices: {
+        image: 'soluna-dial.settings.dialStyle.choices.image',
+        sky: 'soluna-dial.settings.dialStyle.choices.sky'
+      },
+      onChange: style => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setDialStyle(style);
+        }
+      }
+    });
+
+    game.settings.register(MODULE_ID, 'skyColors', {
+      name: 'Sky Colors',
+      hint: 'The night, dawn, day and dusk colors of the procedural sky.',
+      scope: 'world',
+      config: false, // Edited through the sky colors menu
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setSkyColors();
         }
       }
     });
 
+    game.settings.registerMenu(MODULE_ID, 'skyColorsMenu', {
+      name: 'soluna-dial.settings.skyColorsMenu.name',
+      label: 'soluna-dial.settings.skyColorsMenu.label',
+      hint: 'soluna-dial.settings.skyColorsMenu.hint',
+      icon: 'fas fa-cloud-sun',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialSky.showEditor();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the editor dialog saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
     game.settings.register(MODULE_ID, 'customDialImage', {
       name: 'Custom Dial Image',
       hint: 'Choose a custom image for the dial.',
@@ -226,21 +850,21 @@ export class SolunaDialSettings {
       type: String,
       default: '',
       onChange: imagePath => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setCustomDialImage(imagePath);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setCustomDialImage(imagePath);
         }
       }
     });
 
     game.settings.registerMenu(MODULE_ID, 'customDialImageMenu', {
-      name: 'Custom Dial Image',
-      hint: 'Choose a custom image for the dial.',
+      name: 'soluna-dial.settings.customDialImageMenu.name',
+      hint: 'soluna-dial.settings.customDialImageMenu.hint',
       icon: 'fas fa-image',
       type: class extends FormApplication {
         static get defaultOptions() {
           return mergeObject(super.defaultOptions, {
             id: 'soluna-dial-image-config',
-            title: 'Custom Dial Image',
+            title: game.i18n.localize('soluna-dial.settings.customDialImageMenu.name'),
             template: 'templates/generic/file-picker.html',
             width: 400,
             height: 200,
@@ -258,17 +882,17 @@ export class SolunaDialSettings {
           const html = $(`
             <form>
               <div class="form-group">
-                <label>Current Image Path:</label>
+                <label>${game.i18n.localize('soluna-dial.dialImage.currentPath')}</label>
                 <input type="text" name="imagePath" value="${this.getData().current}" readonly style="width: 100%; margin-bottom: 10px;">
               </div>
               <div class="form-group">
                 <button type="button" id="browse-image" style="width: 100%;">
-                  <i class="fas fa-folder-open"></i> Browse for Image
+                  <i class="fas fa-folder-open"></i> ${game.i18n.localize('soluna-dial.dialImage.browse')}
                 </button>
               </div>
               <div class="form-group">
                 <button type="button" id="clear-image" style="width: 100%;">
-                  <i class="fas fa-trash"></i> Use Default Image
+                  <i class="fas fa-trash"></i> ${game.i18n.localize('soluna-dial.dialImage.useDefault')}
                 </button>
               </div>
             </form>
@@ -279,7 +903,7 @@ export class SolunaDialSettings {
             content: html.prop('outerHTML'),
             buttons: {
               close: {
-                label: 'Close'
+                label: game.i18n.localize('soluna-dial.common.close')
               }
             },
             render: (dialogHtml) => {
@@ -290,7 +914,7 @@ export class SolunaDialSettings {
                   callback: (path) => {
                     game.settings.set(MODULE_ID, 'customDialImage', path);
                     dialogHtml.find('input[name="imagePath"]').val(path);
-                    ui.notifications.info(`Dial image set to: ${path}`);
+                    ui.notifications.info(game.i18n.format('soluna-dial.dialImage.set', { path }));
                   }
                 });
                 fp.browse();
@@ -299,7 +923,7 @@ export class SolunaDialSettings {
               dialogHtml.find('#clear-image').click(() => {
                 game.settings.set(MODULE_ID, 'customDialImage', '');
                 dialogHtml.find('input[name="imagePath"]').val('modules/soluna-dial/assets/dial.png');
-                ui.notifications.info('Dial image reset to default');
+                ui.notifications.info(game.i18n.localize('soluna-dial.dialImage.reset'));
               });
             }
           }).render(true);
@@ -313,35 +937,174 @@ export class SolunaDialSettings {
     });
 
     game.settings.register(MODULE_ID, 'customDialImageScale', {
-      name: 'Custom Dial Image Scale',
-      hint: 'Scale factor for the custom dial image.',
+      name: 'soluna-dial.settings.customDialImageScale.name',
+      hint: 'soluna-dial.settings.customDialImageScale.hint',
       scope: 'world',
       config: true,
       type: Number,
       default: 1.0,
       range: { min: 0.1, max: 5.0, step: 0.1 },
       onChange: scale => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setCustomDialImageScale(scale);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setCustomDialImageScale(scale);
         }
       }
     });
 
     game.settings.register(MODULE_ID, 'customDialImageAngleOffset', {
-      name: 'Custom Dial Image Angle Offset',
-      hint: 'Angle offset for the custom dial image in degrees. Adjust if your image starts at a different position (0-360 degrees).',
+      name: 'soluna-dial.settings.customDialImageAngleOffset.name',
+      hint: 'soluna-dial.settings.customDialImageAngleOffset.hint',
       scope: 'world',
       config: true,
       type: Number,
       default: 90,
       range: { min: 0, max: 360, step: 1 },
       onChange: angle => {
-        if (game.modules.get(MODULE_ID)?.api) {
-          game.modules.get(MODULE_ID).api.setCustomDialImageAngleOffset(angle);
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial.setCustomDialImageAngleOffset(angle);
         }
       }
     });
 
+    // --- Enforced Settings ---
+    game.settings.register(MODULE_ID, 'enforcedSettings', {
+      name: 'Enforced Display Settings',
+      hint: 'Display settings the GM has locked for every player, with their locked values.',
+      scope: 'world',
+      config: false, // Edited through the enforced settings menu
+      type: Object,
+      default: {},
+      onChange: () => {
+        if (game.modules.get(MODULE_ID)?._dial) {
+          game.modules.get(MODULE_ID)._dial._applySettings(SolunaDialSettings.LOCKABLE_SETTINGS);
+        }
+      }
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'enforcedSettingsMenu', {
+      name: 'soluna-dial.settings.enforcedSettingsMenu.name',
+      label: 'soluna-dial.settings.enforcedSettingsMenu.label',
+      hint: 'soluna-dial.settings.enforcedSettingsMenu.hint',
+      icon: 'fas fa-lock',
+      type: class extends FormApplication {
+        render() {
+          SolunaDialSettings.showEnforcedSettingsEditor();
+        }
+
+        _updateObject(event, formData) {
+          // Not needed since the editor dialog saves the setting itself
+        }
+      },
+      restricted: true
+    });
+
+    // Locked settings ignore a player's own value, even when a macro changes it
+    SolunaDialSettings.LOCKABLE_SETTINGS.forEach(key => {
+      const config = game.settings.settings.get(`${MODULE_ID}.${key}`);
+      if (typeof config?.onChange !== 'function') return;
+      const onChange = config.onChange;
+      config.onChange = value => onChange(SolunaDialSettings.isLocked(key) ? SolunaDialSettings.get(key) : value);
+    });
+
     console.log(`${MODULE_ID} | Settings registered.`);
   }
+
+  /**
+   * Client display settings the GM can lock for all players.
+   * @type {string[]}
+   */
+  static LOCKABLE_SETTINGS = [
+    'masterHudToggle', 'compactMode', 'toggleCalendarDisplay', 'toggleSecondsDisplay', 'timeFormat', 'dateFormat', 'toggleDialMarker',
+    'temperatureUnit', 'toggleWeatherDisplay', 'showEventPins', 'eventAlerts', 'globalUiSize', 'hudAnchor',
+    'hudTopPadding', 'globalFontFamily', 'globalFontOpacity', 'topBarOpacity', 'dialImageOpacity',
+    'dialMarkerColor', 'dialMarkerOpacity'
+  ];
+
+  /**
+   * Whether the GM has locked a setting. GMs are never held to the locks.
+   * @param {string} key - The setting key.
+   * @returns {boolean}
+   */
+  static isLocked(key) {
+    if (game.user.isGM) return false;
+    const enforced = game.settings.get(MODULE_ID, 'enforcedSettings') ?? {};
+    return Object.prototype.hasOwnProperty.call(enforced, key);
+  }
+
+  /**
+   * Returns a setting's value for this client: the GM's locked value if there is one, otherwise the stored value.
+   * @param {string} key - The setting key.
+   * @returns {*}
+   */
+  static get(key) {
+    if (SolunaDialSettings.isLocked(key)) return game.settings.get(MODULE_ID, 'enforcedSettings')[key];
+    return game.settings.get(MODULE_ID, key);
+  }
+
+  /**
+   * Opens a dialog for GMs to choose which display settings are locked to their current values.
+   */
+  static showEnforcedSettingsEditor() {
+    if (!game.user.isGM) return;
+    const enforced = game.settings.get(MODULE_ID, 'enforcedSettings') ?? {};
+    const rows = SolunaDialSettings.LOCKABLE_SETTINGS.map(key => {
+      const config = game.settings.settings.get(`${MODULE_ID}.${key}`);
+      const value = game.settings.get(MODULE_ID, key);
+      const locked = Object.prototype.hasOwnProperty.call(enforced, key);
+      const lockedValue = locked && enforced[key] !== value ? ` ${game.i18n.format('soluna-dial.enforced.lockedAt', { value: Handlebars.escapeExpression(String(enforced[key])) })}` : '';
+      return `
+        <div class="form-group">
+          <label>${Handlebars.escapeExpression(config?.name ? game.i18n.localize(config.name) : key)}</label>
+          <div class="form-fields">
+            <span>${Handlebars.escapeExpression(String(value))}${lockedValue}</span>
+            <input type="checkbox" name="${key}" ${locked ? 'checked' : ''}>
+          </div>
+        </div>`;
+    }).join('');
+    const content = `
+      <form>
+        <p class="notes">${game.i18n.localize('soluna-dial.enforced.notes')}</p>
+        ${rows}
+      </form>
+    `;
+
+    new Dialog({
+      title: game.i18n.localize('soluna-dial.settings.enforcedSettingsMenu.name'),
+      content: content,
+      buttons: {
+        save: {
+          label: game.i18n.localize('soluna-dial.common.save'),
+          callback: async (html) => {
+            const locked = {};
+            html.find('input[type="checkbox"]').each((index, input) => {
+              if (input.checked) locked[input.name] = game.settings.get(MODULE_ID, input.name);
+            });
+            await game.settings.set(MODULE_ID, 'enforcedSettings', locked);
+            ui.notifications.info(game.i18n.format('soluna-dial.enforced.saved', { count: Object.keys(locked).length }));
+          }
+        },
+        cancel: {
+          label: game.i18n.localize('soluna-dial.common.cancel')
+        }
+      },
+      default: 'save'
+    }, { width: 480, height: 'auto' }).render(true);
+  }
+
+  /**
+   * Greys out locked settings in the settings configuration of players.
+   * @param {SettingsConfig} app - The settings configuration.
+   * @param {jQuery} html - The rendered configuration.
+   */
+  static onRenderSettingsConfig(app, html) {
+    SolunaDialSettings.LOCKABLE_SETTINGS.forEach(key => {
+      if (!SolunaDialSettings.isLocked(key)) return;
+      const field = html.find(`[name="${MODULE_ID}.${key}"]`);
+      if (!field.length) return;
+      const formGroup = field.closest('.form-group');
+      formGroup.find('input, select, button, range-picker').prop('disabled', true);
+      formGroup.css('opacity', 0.5);
+      formGroup.find('.notes').first().append(` <strong>${game.i18n.localize('soluna-dial.enforced.lockedByGm')}</strong>`);
+    });
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,133 @@
+import { SolunaDialJsonEditor } from './solunaDialJsonEditor.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Colors and layout of the procedural sky, drawn in place of the dial image.
+ * The sky color follows the sun: night, then dawn at sunrise, day, and dusk at sunset. Times are
+ * fractions of one dial rotation, 0.25 being sunrise and 0.75 sunset, so the colors match the
+ * calendar's sunrise and sunset in every season.
+ */
+export class SolunaDialSky {
+  /**
+   * The default color stops.
+   * @type {{night: string, dawn: string, day: string, dusk: string}}
+   */
+  static DEFAULT_COLORS = {
+    night: '#000030',
+    dawn: '#FF6AD5',
+    day: '#4A90D9',
+    dusk: '#FF9900'
+  };
+
+  /**
+   * Fraction of a rotation over which the sky blends from one stop into the next, about an hour and
+   * a half either side of sunrise and sunset on a 12-hour day.
+   * @type {number}
+   */
+  static TRANSITION = 0.06;
+
+  /**
+   * How much darker the middle of the dial is than its rim, where the sun travels.
+   * @type {number}
+   */
+  static ZENITH_SHADE = 0.35;
+
+  /**
+   * Returns the GM's color stops, filled in from the defaults.
+   * @returns {{night: number, dawn: number, day: number, dusk: number}} PIXI color numbers.
+   */
+  static getColors() {
+    const stored = game.settings.get(MODULE_ID, 'skyColors') ?? {};
+    const colors = {};
+    for (const [stop, fallback] of Object.entries(SolunaDialSky.DEFAULT_COLORS)) {
+      const defaultColor = Number(PIXI.utils.string2hex(fallback));
+      try {
+        colors[stop] = typeof stored[stop] === 'string' ? Number(PIXI.utils.string2hex(stored[stop])) : defaultColor;
+      } catch (e) {
+        colors[stop] = defaultColor;
+      }
+    }
+    return colors;
+  }
+
+  /**
+   * Blends two PIXI colors.
+   * @param {number} from - The first color.
+   * @param {number} to - The second color.
+   * @param {number} amount - 0 returns the first color, 1 the second.
+   * @returns {number}
+   */
+  static mix(from, to, amount) {
+    const channel = shift => {
+      const a = (from >> shift) & 0xFF;
+      const b = (to >> shift) & 0xFF;
+      return Math.round(a + (b - a) * amount) << shift;
+    };
+    return channel(16) | channel(8) | channel(0);
+  }
+
+  /**
+   * Returns the sky color at a point of the dial rotation.
+   * @param {{night: number, dawn: number, day: number, dusk: number}} colors - The color stops.
+   * @param {number} fraction - The rotation fraction from {@link SolunaDial#_getSolarDayFraction}.
+   * @returns {number}
+   */
+  static colorAt(colors, fraction) {
+    const t = SolunaDialSky.TRANSITION;
+    const stops = [
+      [0, colors.night], [0.25 - t, colors.night], [0.25, colors.dawn], [0.25 + t, colors.day],
+      [0.75 - t, colors.day], [0.75, colors.dusk], [0.75 + t, colors.night], [1, colors.night]
+    ];
+    const position = ((fraction % 1) + 1) % 1;
+    const next = stops.findIndex(([at]) => at >= position);
+    if (next <= 0) return stops[0][1];
+    const [fromAt, from] = stops[next - 1];
+    const [toAt, to] = stops[next];
+    return SolunaDialSky.mix(from, to, (position - fromAt) / (toAt - fromAt));
+  }
+
+  /**
+   * How visible the stars are at a point of the dial rotation: 0 while the sun is up, fading in to 1
+   * once it is well below the horizon.
+   * @param {number} fraction - The rotation fraction.
+   * @returns {number}
+   */
+  static starVisibility(fraction) {
+    const elevation = Math.cos((fraction - 0.5) * Math.PI * 2); // 1 at noon, 0 at sunrise and sunset
+    return Math.min(1, Math.max(0, -elevation / Math.sin(SolunaDialSky.TRANSITION * Math.PI * 2)));
+  }
+
+  /**
+   * Returns fixed star positions across the unit disc, the same on every client and every redraw.
+   * @param {number} count - Number of stars.
+   * @returns {Array<{x: number, y: number, size: number, alpha: number}>} Positions in dial radii,
+   *   size and alpha between 0.5 and 1.
+   */
+  static getStars(count) {
+    let seed = 20240601;
+    const random = () => {
+      seed = (seed * 1664525 + 1013904223) % 4294967296;
+      return seed / 4294967296;
+    };
+    return Array.from({ length: count }, () => {
+      // Uniform over the disc area, so stars do not bunch up in the middle
+      const distance = Math.sqrt(random());
+      const angle = random() * Math.PI * 2;
+      return { x: Math.cos(angle) * distance, y: Math.sin(angle) * distance, size: 0.5 + random() * 0.5, alpha: 0.5 + random() * 0.5 };
+    });
+  }
+
+  /**
+   * Opens a dialog for GMs to edit the sky color stops as JSON.
+   */
+  static showEditor() {
+    SolunaDialJsonEditor.show({
+      title: game.i18n.localize('soluna-dial.settings.skyColorsMenu.name'),
+      label: game.i18n.localize('soluna-dial.sky.label'),
+      notes: game.i18n.localize('soluna-dial.sky.notes'),
+      settingKey: 'skyColors',
+      value: { ...SolunaDialSky.DEFAULT_COLORS, ...game.settings.get(MODULE_ID, 'skyColors') }
+    });
+  }
+}
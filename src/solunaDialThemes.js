@@ -0,0 +1,188 @@
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Colors, fonts, strokes and shadows of the HUD.
+ * The marker color and the opacities stay separate client settings and are not part of a theme.
+ */
+export class SolunaDialThemes {
+  /**
+   * The default look, and the base every other theme is merged onto.
+   * An empty fontFamily uses the client's Font Family setting. Shadow angles are in degrees; a null
+   * shadow draws none.
+   * @type {object}
+   */
+  static DEFAULT_THEME = {
+    name: 'Default',
+    fontFamily: '',
+    iconFontFamily: 'Font Awesome 5 Free',
+    timeBar: { background: '#101010' },
+    text: { color: '#FFFFFF', fontWeight: 'normal', stroke: '#000000', strokeThickness: 0, shadow: null },
+    icons: { color: '#FFFFFF' },
+    weather: {
+      color: '#FFFFFF',
+      fontWeight: 'bold',
+      stroke: '#000000',
+      strokeThickness: 1,
+      shadow: { color: '#000000', blur: 1, angle: 45, distance: 1 }
+    },
+    moons: { shade: '#202030', outline: '#000000' },
+    eventPins: { outline: '#000000' }
+  };
+
+  /**
+   * Built-in presets, as differences from the default theme.
+   * @type {Object<string, object>}
+   */
+  static PRESETS = {
+    default: {},
+    parchment: {
+      name: 'Parchment',
+      fontFamily: 'Modesto Condensed',
+      timeBar: { background: '#E8D9B0' },
+      text: { color: '#3B2A14' },
+      icons: { color: '#5A3E1B' },
+      weather: { color: '#3B2A14', stroke: '#F5ECD4', strokeThickness: 2, shadow: null },
+      moons: { shade: '#6B5A3A', outline: '#3B2A14' },
+      eventPins: { outline: '#3B2A14' }
+    },
+    'high-contrast': {
+      name: 'High Contrast',
+      timeBar: { background: '#000000' },
+      text: { color: '#FFFF00', fontWeight: 'bold' },
+      icons: { color: '#FFFF00' },
+      weather: { color: '#FFFFFF', stroke: '#000000', strokeThickness: 4, shadow: null },
+      moons: { shade: '#000000', outline: '#FFFFFF' },
+      eventPins: { outline: '#FFFFFF' }
+    },
+    'sci-fi': {
+      name: 'Sci-Fi',
+      fontFamily: 'Courier New',
+      timeBar: { background: '#001820' },
+      text: { color: '#00E5FF', shadow: { color: '#00E5FF', blur: 4, angle: 0, distance: 0 } },
+      icons: { color: '#00E5FF' },
+      weather: { color: '#7CFFCB', stroke: '#003844', strokeThickness: 2, shadow: { color: '#00E5FF', blur: 6, angle: 0, distance: 0 } },
+      moons: { shade: '#00303A', outline: '#00E5FF' },
+      eventPins: { outline: '#00E5FF' }
+    }
+  };
+
+  /**
+   * Keys of a text shadow.
+   * @type {string[]}
+   */
+  static SHADOW_KEYS = ['color', 'blur', 'angle', 'distance'];
+
+  /**
+   * Fills in a theme from the default theme, so themes from older versions or other worlds that miss
+   * keys still draw. Keys the default theme does not have are dropped.
+   * @param {object} theme - A full or partial theme.
+   * @returns {object}
+   */
+  static normalize(theme) {
+    const partial = theme && typeof theme === 'object' && !Array.isArray(theme) ? theme : {};
+    const normalized = foundry.utils.mergeObject(foundry.utils.deepClone(SolunaDialThemes.DEFAULT_THEME), partial, { inplace: false, insertKeys: false, insertValues: false });
+    // Groups replaced by something other than an object fall back to the default
+    for (const [key, value] of Object.entries(SolunaDialThemes.DEFAULT_THEME)) {
+      const group = normalized[key];
+      if (value && typeof value === 'object' && (!group || typeof group !== 'object' || Array.isArray(group))) {
+        normalized[key] = foundry.utils.deepClone(value);
+      }
+    }
+    // A shadow may replace a null default whole, so its keys are picked here
+    for (const part of [normalized.text, normalized.weather]) {
+      const shadow = part.shadow;
+      part.shadow = shadow && typeof shadow === 'object'
+        ? Object.fromEntries(SolunaDialThemes.SHADOW_KEYS.map(key => [key, shadow[key]]))
+        : null;
+    }
+    return normalized;
+  }
+
+  /**
+   * Returns the theme selected in the world settings: a preset, or the imported custom theme.
+   * @returns {object}
+   */
+  static getActiveTheme() {
+    const preset = game.settings.get(MODULE_ID, 'themePreset');
+    if (preset === 'custom') return SolunaDialThemes.normalize(game.settings.get(MODULE_ID, 'customTheme'));
+    return SolunaDialThemes.normalize(SolunaDialThemes.PRESETS[preset] ?? {});
+  }
+
+  /**
+   * Converts a CSS color to a PIXI color number.
+   * @param {string} color - A CSS color.
+   * @param {number} fallback - Returned for colors PIXI cannot parse.
+   * @returns {number}
+   */
+  static toHex(color, fallback) {
+    try {
+      return Number(PIXI.utils.string2hex(color));
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Opens a dialog for GMs to export the active theme as JSON, or import one as the custom theme.
+   */
+  static showImportExport() {
+    if (!game.user.isGM) return;
+    const theme = SolunaDialThemes.getActiveTheme();
+    const content = `
+      <form>
+        <p class="notes">${game.i18n.localize('soluna-dial.themes.notes')}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize('soluna-dial.themes.loadFile')}</label>
+          <div class="form-fields"><input type="file" class="soluna-dial-theme-file" accept=".json,application/json"></div>
+        </div>
+        <div class="form-group stacked">
+          <textarea class="soluna-dial-json" style="width: 100%; height: 320px; font-family: monospace;">${Handlebars.escapeExpression(JSON.stringify(theme, null, 2))}</textarea>
+        </div>
+      </form>
+    `;
+
+    new Dialog({
+      title: game.i18n.localize('soluna-dial.settings.themeMenu.name'),
+      content: content,
+      buttons: {
+        import: {
+          label: game.i18n.localize('soluna-dial.themes.import'),
+          callback: async (html) => {
+            let parsed;
+            try {
+              parsed = JSON.parse(html.find('.soluna-dial-json')[0].value);
+            } catch (e) {
+              ui.notifications.error(game.i18n.format('soluna-dial.themes.invalidJson', { error: e.message }));
+              return;
+            }
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+              ui.notifications.error(game.i18n.localize('soluna-dial.themes.notAnObject'));
+              return;
+            }
+            await game.settings.set(MODULE_ID, 'customTheme', SolunaDialThemes.normalize(parsed));
+            await game.settings.set(MODULE_ID, 'themePreset', 'custom');
+            ui.notifications.info(game.i18n.format('soluna-dial.themes.imported', { name: parsed.name || game.i18n.localize('soluna-dial.themes.customName') }));
+          }
+        },
+        export: {
+          label: game.i18n.localize('soluna-dial.themes.download'),
+          callback: (html) => {
+            const text = html.find('.soluna-dial-json')[0].value;
+            const name = String(theme.name || 'theme').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+            saveDataToFile(text, 'application/json', `soluna-dial-${name}.json`);
+          }
+        },
+        cancel: {
+          label: game.i18n.localize('soluna-dial.common.cancel')
+        }
+      },
+      default: 'import',
+      render: (html) => {
+        html.find('.soluna-dial-theme-file').on('change', async (event) => {
+          const file = event.currentTarget.files?.[0];
+          if (file) html.find('.soluna-dial-json')[0].value = await file.text();
+        });
+      }
+    }, { width: 520 }).render(true);
+  }
+}
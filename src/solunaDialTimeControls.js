@@ -0,0 +1,104 @@
+import { SolunaDialJsonEditor } from './solunaDialJsonEditor.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Configuration of the GM time-advance buttons in the time bar.
+ */
+export class SolunaDialTimeControls {
+  /**
+   * Units an increment can be given in, in units of the active calendar.
+   * @type {string[]}
+   */
+  static UNITS = ['seconds', 'minutes', 'hours', 'days'];
+
+  /**
+   * The built-in buttons and click modifiers.
+   * Negative increments are placed on the left of the time bar and positive ones on the right, each
+   * side in list order from the edge inwards. `icon` is a Font Awesome code point (e.g. "f04b") or
+   * short text; `mirror` flips the icon horizontally. A label is a translation key or plain text.
+   * Modifier factors multiply together.
+   * @type {{buttons: Array<{amount: number, unit: string, icon: string, label: string, mirror?: boolean}>, modifiers: {shift: number, ctrl: number, alt: number}}}
+   */
+  static DEFAULT_CONTROLS = {
+    buttons: [
+      { amount: -1, unit: 'hours', icon: 'f04b', label: 'soluna-dial.timeControls.rewindHour', mirror: true },
+      { amount: -1, unit: 'days', icon: 'f049', label: 'soluna-dial.timeControls.rewindDay' },
+      { amount: 1, unit: 'hours', icon: 'f04b', label: 'soluna-dial.timeControls.advanceHour' },
+      { amount: 1, unit: 'days', icon: 'f050', label: 'soluna-dial.timeControls.advanceDay' }
+    ],
+    modifiers: { shift: 2, ctrl: 10, alt: 0.5 }
+  };
+
+  /**
+   * Returns the configured buttons and modifiers, falling back to the defaults for anything missing
+   * and dropping buttons without a usable increment. Labels are returned translated.
+   * @returns {{buttons: Array<{amount: number, unit: string, icon: string, label: string, mirror: boolean}>, modifiers: {shift: number, ctrl: number, alt: number}}}
+   */
+  static getControls() {
+    const defaults = SolunaDialTimeControls.DEFAULT_CONTROLS;
+    const stored = game.settings.get(MODULE_ID, 'timeAdvanceControls') ?? {};
+    const buttons = (Array.isArray(stored.buttons) ? stored.buttons : defaults.buttons)
+      .filter(button => Number.isFinite(Number(button?.amount)) && Number(button.amount) !== 0)
+      .map(button => {
+        const amount = Number(button.amount);
+        const unit = SolunaDialTimeControls.UNITS.includes(button.unit) ? button.unit : 'seconds';
+        return {
+          amount,
+          unit,
+          icon: String(button.icon ?? ''),
+          label: button.label
+            ? game.i18n.localize(button.label)
+            : `${amount > 0 ? '+' : ''}${amount} ${game.i18n.localize(`soluna-dial.timeControls.units.${unit}`)}`,
+          mirror: !!button.mirror
+        };
+      });
+    const modifiers = {};
+    for (const [key, factor] of Object.entries(defaults.modifiers)) {
+      const value = Number(stored.modifiers?.[key]);
+      modifiers[key] = Number.isFinite(value) && value > 0 ? value : factor;
+    }
+    return { buttons, modifiers };
+  }
+
+  /**
+   * Turns a button icon into the text to draw: four hex digits are a Font Awesome code point,
+   * anything else is drawn as written.
+   * @param {string} icon - The configured icon.
+   * @returns {{text: string, isGlyph: boolean}}
+   */
+  static resolveIcon(icon) {
+    if (/^[0-9a-f]{4}$/i.test(icon)) {
+      return { text: String.fromCharCode(parseInt(icon, 16)), isGlyph: true };
+    }
+    return { text: icon, isGlyph: icon.length === 1 && icon.charCodeAt(0) >= 0xE000 };
+  }
+
+  /**
+   * Returns the factor to scale an increment by for the modifier keys held during a click.
+   * Cmd counts as Ctrl so the modifier works on macOS.
+   * @param {object} event - The pointer event.
+   * @param {{shift: number, ctrl: number, alt: number}} modifiers - The configured modifier factors.
+   * @returns {number}
+   */
+  static getMultiplier(event, modifiers) {
+    let multiplier = 1;
+    if (event?.shiftKey) multiplier *= modifiers.shift;
+    if (event?.ctrlKey || event?.metaKey) multiplier *= modifiers.ctrl;
+    if (event?.altKey) multiplier *= modifiers.alt;
+    return multiplier;
+  }
+
+  /**
+   * Opens a dialog for GMs to edit the buttons and modifiers as JSON.
+   */
+  static showEditor() {
+    SolunaDialJsonEditor.show({
+      title: game.i18n.localize('soluna-dial.settings.timeAdvanceControlsMenu.name'),
+      label: game.i18n.localize('soluna-dial.timeControls.editorLabel'),
+      notes: game.i18n.localize('soluna-dial.timeControls.editorNotes'),
+      settingKey: 'timeAdvanceControls',
+      value: SolunaDialTimeControls.getControls()
+    });
+  }
+}
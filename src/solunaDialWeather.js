@@ -0,0 +1,654 @@
+import { SolunaDialJsonEditor } from './solunaDialJsonEditor.js';
+import { SolunaDialCalendar } from './solunaDialCalendar.js';
+
+const MODULE_ID = 'soluna-dial';
+
+/**
+ * Procedural weather generation for the Soluna Dial module.
+ * Rolls a daily weather condition from climate tables weighted by season,
+ * biased towards conditions close to the previous day's weather.
+ */
+export class SolunaDialWeather {
+  /**
+   * Known weather conditions, keyed by the stable condition key stored in the weather state.
+   * Each client shows a condition under its soluna-dial.weather.conditions.<key> translation; label is
+   * the English name, kept so weather typed in by name in older worlds still matches.
+   * icon is the Font Awesome code point shown for the condition in compact mode.
+   * warmth (-2.5 to 2.5) and wetness (0 to 2) place each condition on a grid used to measure how far
+   * apart two conditions are for day-to-day continuity. The remaining fields are the ranges a rolled
+   * state of that condition falls in: temperature is an offset in °C from the climate's seasonal base
+   * (optionally capped by minTemperature/maxTemperature), wind in km/h, cloudCover from 0 to 1 and
+   * visibility in km.
+   * @type {Object<string, object>}
+   */
+  static CONDITIONS = {
+    clear: { icon: 'f185', label: 'Clear', warmth: 0, wetness: 0, temperature: 0, wind: [0, 15], precipitation: 'none', intensity: [0, 0], cloudCover: [0, 0.15], visibility: [15, 30] },
+    cloudy: { icon: 'f6c4', label: 'Cloudy', warmth: 0, wetness: 0.5, temperature: -1, wind: [5, 20], precipitation: 'none', intensity: [0, 0], cloudCover: [0.35, 0.65], visibility: [10, 25] },
+    overcast: { icon: 'f0c2', label: 'Overcast', warmth: 0, wetness: 1, temperature: -2, wind: [5, 25], precipitation: 'none', intensity: [0, 0], cloudCover: [0.8, 1], visibility: [8, 20] },
+    rainy: { icon: 'f73d', label: 'Rainy', warmth: 0, wetness: 1.5, temperature: -3, minTemperature: 1, wind: [10, 30], precipitation: 'rain', intensity: [0.3, 0.7], cloudCover: [0.8, 1], visibility: [3, 10] },
+    stormy: { icon: 'f0e7', label: 'Stormy', warmth: 0, wetness: 2, temperature: -4, minTemperature: 1, wind: [35, 80], precipitation: 'rain', intensity: [0.7, 1], cloudCover: [0.95, 1], visibility: [0.5, 4] },
+    foggy: { icon: 'f75f', label: 'Foggy', warmth: -0.5, wetness: 1, temperature: -2, wind: [0, 8], precipitation: 'none', intensity: [0, 0], cloudCover: [0.6, 1], visibility: [0.05, 1] },
+    snowy: { icon: 'f2dc', label: 'Snowy', warmth: -2, wetness: 1.5, temperature: -6, maxTemperature: 0, wind: [5, 25], precipitation: 'snow', intensity: [0.3, 0.7], cloudCover: [0.85, 1], visibility: [1, 5] },
+    blizzard: { icon: 'f2dc', label: 'Blizzard', warmth: -2.5, wetness: 2, temperature: -12, maxTemperature: -5, wind: [50, 100], precipitation: 'snow', intensity: [0.8, 1], cloudCover: [1, 1], visibility: [0, 0.3] },
+    windy: { icon: 'f72e', label: 'Windy', warmth: 0, wetness: 0.5, temperature: -1, wind: [40, 70], precipitation: 'none', intensity: [0, 0], cloudCover: [0.2, 0.6], visibility: [10, 25] },
+    hot: { icon: 'f769', label: 'Hot', warmth: 2, wetness: 0, temperature: 8, wind: [0, 15], precipitation: 'none', intensity: [0, 0], cloudCover: [0, 0.2], visibility: [15, 30] },
+    heatwave: { icon: 'f06d', label: 'Heatwave', warmth: 2.5, wetness: 0, temperature: 15, wind: [0, 10], precipitation: 'none', intensity: [0, 0], cloudCover: [0, 0.1], visibility: [10, 20] },
+    cold: { icon: 'f76b', label: 'Cold', warmth: -1.5, wetness: 0, temperature: -10, wind: [5, 25], precipitation: 'none', intensity: [0, 0], cloudCover: [0, 0.4], visibility: [15, 30] },
+    humid: { icon: 'f043', label: 'Humid', warmth: 1, wetness: 1, temperature: 4, wind: [0, 10], precipitation: 'none', intensity: [0, 0], cloudCover: [0.3, 0.7], visibility: [5, 15] },
+    dry: { icon: 'f185', label: 'Dry', warmth: 1, wetness: 0, temperature: 3, wind: [5, 20], precipitation: 'none', intensity: [0, 0], cloudCover: [0, 0.1], visibility: [20, 40] }
+  };
+
+  /**
+   * Profile used for custom conditions typed in by the GM.
+   * @type {object}
+   */
+  static CUSTOM_CONDITION = { icon: 'f0c2', warmth: 0, wetness: 0, temperature: 0, wind: [5, 20], precipitation: 'none', intensity: [0, 0], cloudCover: [0.2, 0.6], visibility: [10, 20] };
+
+  /**
+   * Typical daytime temperature in °C per climate and season, before the condition's offset.
+   * @type {Object<string, Object<string, number>>}
+   */
+  static CLIMATE_TEMPERATURES = {
+    temperate: { spring: 12, summer: 22, autumn: 11, winter: 1 },
+    arctic: { spring: -10, summer: 4, autumn: -8, winter: -25 },
+    desert: { spring: 26, summer: 36, autumn: 27, winter: 15 },
+    tropical: { spring: 28, summer: 30, autumn: 28, winter: 25 }
+  };
+
+  /**
+   * Compass points for wind direction, clockwise from north.
+   * @type {string[]}
+   */
+  static WIND_DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+  /**
+   * Default climate tables: relative weights of each condition per season.
+   * @type {Object<string, Object<string, Object<string, number>>>}
+   */
+  static DEFAULT_CLIMATE_TABLES = {
+    temperate: {
+      spring: { clear: 3, cloudy: 3, overcast: 2, rainy: 3, stormy: 1, foggy: 2, windy: 2, cold: 1 },
+      summer: { clear: 5, cloudy: 2, overcast: 1, rainy: 1, stormy: 2, hot: 3, humid: 2, windy: 1 },
+      autumn: { clear: 2, cloudy: 3, overcast: 3, rainy: 3, stormy: 1, foggy: 3, windy: 2, cold: 1 },
+      winter: { clear: 2, cloudy: 2, overcast: 3, rainy: 1, snowy: 3, blizzard: 1, foggy: 1, cold: 3 }
+    },
+    arctic: {
+      spring: { clear: 2, cloudy: 2, overcast: 2, snowy: 3, blizzard: 1, windy: 2, cold: 4 },
+      summer: { clear: 3, cloudy: 3, overcast: 2, rainy: 1, snowy: 1, foggy: 2, windy: 2, cold: 3 },
+      autumn: { cloudy: 2, overcast: 3, snowy: 3, blizzard: 2, foggy: 1, windy: 2, cold: 3 },
+      winter: { clear: 1, overcast: 2, snowy: 3, blizzard: 4, windy: 2, cold: 3 }
+    },
+    desert: {
+      spring: { clear: 5, cloudy: 1, windy: 2, hot: 3, dry: 4 },
+      summer: { clear: 3, windy: 1, hot: 4, heatwave: 3, dry: 4 },
+      autumn: { clear: 5, cloudy: 1, stormy: 1, windy: 2, hot: 2, dry: 4 },
+      winter: { clear: 5, cloudy: 1, rainy: 1, windy: 2, cold: 2, dry: 3 }
+    },
+    tropical: {
+      spring: { clear: 2, cloudy: 2, rainy: 3, stormy: 2, hot: 2, humid: 4 },
+      summer: { cloudy: 2, overcast: 1, rainy: 4, stormy: 3, hot: 2, humid: 4 },
+      autumn: { clear: 2, cloudy: 2, rainy: 3, stormy: 3, windy: 1, humid: 3 },
+      winter: { clear: 4, cloudy: 2, rainy: 1, hot: 2, humid: 2, dry: 2 }
+    }
+  };
+
+  /**
+   * Returns the climate tables, using the GM's edited tables when present.
+   * @returns {Object<string, Object<string, Object<string, number>>>}
+   */
+  static getClimateTables() {
+    const tables = game.settings.get(MODULE_ID, 'weatherClimateTables');
+    if (tables && typeof tables === 'object' && Object.keys(tables).length > 0) return tables;
+    return SolunaDialWeather.DEFAULT_CLIMATE_TABLES;
+  }
+
+  /**
+   * Returns the name of the current season, lowercased, or null when no calendar provides one.
+   * @returns {string|null}
+   */
+  static getCurrentSeasonName() {
+    const season = SolunaDialCalendar.getSeason();
+    return season?.name ? season.name.trim().toLowerCase() : null;
+  }
+
+  /**
+   * Picks the entry of a per-season table for a season name.
+   * An exact match on the calendar's season name wins, so GMs can add tables for custom seasons;
+   * otherwise common names are mapped onto spring/summer/autumn/winter.
+   * @param {Object<string, *>} seasons - A table keyed by season.
+   * @param {string|null} seasonName - The lowercased season name.
+   * @returns {*} The matching entry, spring's entry, or the first entry.
+   */
+  static getSeasonEntry(seasons, seasonName) {
+    if (!seasons || typeof seasons !== 'object') return undefined;
+    if (seasonName && seasons[seasonName] !== undefined) return seasons[seasonName];
+    const aliases = { spring: ['spring', 'vernal'], summer: ['summer'], autumn: ['autumn', 'fall'], winter: ['winter'] };
+    if (seasonName) {
+      const standardSeason = Object.keys(aliases).find(key => aliases[key].some(alias => seasonName.includes(alias)));
+      if (standardSeason && seasons[standardSeason] !== undefined) return seasons[standardSeason];
+    }
+    return seasons.spring ?? Object.values(seasons)[0];
+  }
+
+  /**
+   * Rolls a weather condition.
+   * @param {object} [options]
+   * @param {string} [options.climate] - Climate table key. Defaults to the world's configured climate.
+   * @param {string|null} [options.season] - Lowercased season name. Defaults to the calendar's current season.
+   * @param {string|null} [options.previous] - The previous day's condition, used for continuity.
+   * @param {number} [options.continuity] - 0 for independent days, 1 for strongly persistent weather.
+   * @returns {string|null} The rolled condition, or null if the table is empty.
+   */
+  static rollCondition({ climate, season, previous = null, continuity } = {}) {
+    const tables = SolunaDialWeather.getClimateTables();
+    const climateKey = climate ?? game.settings.get(MODULE_ID, 'weatherClimate');
+    const seasonName = season === undefined ? SolunaDialWeather.getCurrentSeasonName() : season;
+    const seasonTable = SolunaDialWeather.getSeasonEntry(tables[climateKey], seasonName) || {};
+    const strength = continuity ?? game.settings.get(MODULE_ID, 'weatherContinuity');
+
+    const weighted = Object.entries(seasonTable)
+      .map(([condition, weight]) => [condition, Math.max(0, Number(weight) || 0) * SolunaDialWeather._continuityFactor(previous, condition, strength)])
+      .filter(([, weight]) => weight > 0);
+    if (weighted.length === 0) return null;
+
+    const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = Math.random() * total;
+    for (const [condition, weight] of weighted) {
+      roll -= weight;
+      if (roll < 0) return condition;
+    }
+    return weighted[weighted.length - 1][0];
+  }
+
+  /**
+   * Weight multiplier favouring conditions close to the previous one.
+   * @param {string|null} previous - The previous condition key.
+   * @param {string} next - The candidate condition key.
+   * @param {number} strength - Continuity strength between 0 and 1.
+   * @returns {number}
+   * @private
+   */
+  static _continuityFactor(previous, next, strength) {
+    if (!previous || !(strength > 0)) return 1;
+    if (String(previous).toLowerCase() === String(next).toLowerCase()) return 1 + 2 * strength;
+    const a = SolunaDialWeather.getConditionProfile(previous);
+    const b = SolunaDialWeather.getConditionProfile(next);
+    const distance = Math.abs(a.warmth - b.warmth) + Math.abs(a.wetness - b.wetness);
+    return Math.exp(-distance * 1.5 * strength);
+  }
+
+  /**
+   * Finds the condition key for a key, English label or translated label, ignoring case.
+   * @param {string} text - A condition key or label.
+   * @returns {string|null} The condition key, or null for custom conditions.
+   */
+  static findConditionKey(text) {
+    const search = String(text ?? '').trim().toLowerCase();
+    return Object.keys(SolunaDialWeather.CONDITIONS).find(key =>
+      key === search
+      || SolunaDialWeather.CONDITIONS[key].label.toLowerCase() === search
+      || game.i18n.localize(`soluna-dial.weather.conditions.${key}`).toLowerCase() === search
+    ) ?? null;
+  }
+
+  /**
+   * Returns the profile of a condition, or the neutral profile for custom conditions.
+   * @param {string} condition - A condition key or label.
+   * @returns {object}
+   */
+  static getConditionProfile(condition) {
+    const key = SolunaDialWeather.findConditionKey(condition);
+    return key ? SolunaDialWeather.CONDITIONS[key] : SolunaDialWeather.CUSTOM_CONDITION;
+  }
+
+  /**
+   * Returns the Font Awesome glyph for a condition.
+   * @param {string} condition - A condition key, label or custom text.
+   * @returns {string}
+   */
+  static getConditionIcon(condition) {
+    return String.fromCharCode(parseInt(SolunaDialWeather.getConditionProfile(condition).icon, 16));
+  }
+
+  /**
+   * Returns the display label of a condition in the client's language. Custom conditions are shown as typed.
+   * @param {string} condition - A condition key or custom text.
+   * @returns {string}
+   */
+  static getConditionLabel(condition) {
+    const key = SolunaDialWeather.findConditionKey(condition);
+    return key ? game.i18n.localize(`soluna-dial.weather.conditions.${key}`) : String(condition ?? '');
+  }
+
+  /**
+   * Returns the display name of a climate. Climates the GM added to the climate tables have no
+   * translation and are shown by their key.
+   * @param {string} climate - The climate key.
+   * @returns {string}
+   */
+  static getClimateLabel(climate) {
+    const translationKey = `soluna-dial.weather.climates.${climate}`;
+    if (game.i18n.has(translationKey)) return game.i18n.localize(translationKey);
+    return climate.charAt(0).toUpperCase() + climate.slice(1);
+  }
+
+  /**
+   * Returns the display name of a precipitation type: none, rain, snow or hail.
+   * @param {string} type - The precipitation type.
+   * @returns {string}
+   */
+  static getPrecipitationLabel(type) {
+    return game.i18n.localize(`soluna-dial.weather.precipitation.${type}`);
+  }
+
+  /**
+   * Returns the display abbreviation of a compass point from {@link SolunaDialWeather.WIND_DIRECTIONS}.
+   * @param {string} direction - The stored direction, e.g. 'NE'.
+   * @returns {string}
+   */
+  static getDirectionLabel(direction) {
+    return game.i18n.localize(`soluna-dial.weather.directions.${direction}`);
+  }
+
+  /**
+   * Creates a structured weather state for a condition, rolling its details within the condition's ranges.
+   * @param {string} condition - A condition key, or custom text.
+   * @param {object} [options]
+   * @param {string} [options.climate] - Climate key for the base temperature. Defaults to the world's climate.
+   * @param {string|null} [options.season] - Lowercased season name. Defaults to the calendar's current season.
+   * @param {object|null} [options.previous] - The previous weather state; the wind direction drifts from it.
+   * @returns {{condition: string, temperature: number, wind: {speed: number, direction: string}, precipitation: {type: string, intensity: number}, cloudCover: number, visibility: number}}
+   */
+  static createState(condition, { climate, season, previous = null } = {}) {
+    const key = SolunaDialWeather.findConditionKey(condition);
+    const profile = SolunaDialWeather.getConditionProfile(condition);
+    const climateKey = climate ?? game.settings.get(MODULE_ID, 'weatherClimate');
+    const seasonName = season === undefined ? SolunaDialWeather.getCurrentSeasonName() : season;
+    const between = ([min, max]) => min + Math.random() * (max - min);
+
+    const baseTemperature = SolunaDialWeather.getSeasonEntry(SolunaDialWeather.CLIMATE_TEMPERATURES[climateKey], seasonName)
+      ?? SolunaDialWeather.getSeasonEntry(SolunaDialWeather.CLIMATE_TEMPERATURES.temperate, seasonName);
+    let temperature = baseTemperature + profile.temperature + between([-3, 3]);
+    if (profile.maxTemperature !== undefined) temperature = Math.min(temperature, profile.maxTemperature);
+    if (profile.minTemperature !== undefined) temperature = Math.max(temperature, profile.minTemperature);
+
+    // Wind direction drifts at most one compass point a day from the previous direction
+    const directions = SolunaDialWeather.WIND_DIRECTIONS;
+    const previousIndex = directions.indexOf(previous?.wind?.direction);
+    const directionIndex = previousIndex >= 0
+      ? (previousIndex + Math.floor(Math.random() * 3) - 1 + directions.length) % directions.length
+      : Math.floor(Math.random() * directions.length);
+
+    return {
+      condition: key ?? String(condition).trim(),
+      temperature: Math.round(temperature),
+      wind: { speed: Math.round(between(profile.wind)), direction: directions[directionIndex] },
+      precipitation: { type: profile.precipitation, intensity: Math.round(between(profile.intensity) * 100) / 100 },
+      cloudCover: Math.round(between(profile.cloudCover) * 100) / 100,
+      visibility: Math.round(between(profile.visibility) * 10) / 10
+    };
+  }
+
+  /**
+   * Rolls a new weather state from the climate tables.
+   * @param {object} [options] - Same as {@link SolunaDialWeather.rollCondition}, with previous as a weather state.
+   * @returns {object|null} The rolled weather state, or null if the table is empty.
+   */
+  static rollState({ climate, season, previous = null, continuity } = {}) {
+    const condition = SolunaDialWeather.rollCondition({ climate, season, previous: previous?.condition ?? null, continuity });
+    return condition ? SolunaDialWeather.createState(condition, { climate, season, previous }) : null;
+  }
+
+  /**
+   * Returns the typical state of a condition: the middle of each of its ranges, a mild temperate
+   * base temperature and a north wind. It is the same on every client, unlike createState.
+   * @param {string} condition - A condition key, or custom text.
+   * @returns {object} A weather state.
+   * @private
+   */
+  static _typicalState(condition) {
+    const profile = SolunaDialWeather.getConditionProfile(condition);
+    const middle = ([min, max]) => (min + max) / 2;
+    let temperature = SolunaDialWeather.CLIMATE_TEMPERATURES.temperate.spring + profile.temperature;
+    if (profile.maxTemperature !== undefined) temperature = Math.min(temperature, profile.maxTemperature);
+    if (profile.minTemperature !== undefined) temperature = Math.max(temperature, profile.minTemperature);
+    return {
+      condition: SolunaDialWeather.findConditionKey(condition) ?? String(condition).trim(),
+      temperature: Math.round(temperature),
+      wind: { speed: Math.round(middle(profile.wind)), direction: SolunaDialWeather.WIND_DIRECTIONS[0] },
+      precipitation: { type: profile.precipitation, intensity: Math.round(middle(profile.intensity) * 100) / 100 },
+      cloudCover: Math.round(middle(profile.cloudCover) * 100) / 100,
+      visibility: Math.round(middle(profile.visibility) * 10) / 10
+    };
+  }
+
+  /**
+   * Turns a stored or received weather value into a complete weather state.
+   * Legacy plain strings and partial states are completed with the condition's typical details, so
+   * every client shows the same weather for the same value.
+   * @param {object|string|null} value - A weather state, a legacy condition string, or nothing.
+   * @param {object} [options]
+   * @param {boolean} [options.roll=false] - Roll the missing details with createState instead, for new weather.
+   * @returns {object|null} A weather state, or null when value holds no weather.
+   */
+  static normalizeState(value, { roll = false } = {}) {
+    if (typeof value === 'string') value = value.trim() ? { condition: value } : null;
+    if (!value || typeof value !== 'object' || !value.condition) return null;
+    const defaults = roll ? SolunaDialWeather.createState(value.condition) : SolunaDialWeather._typicalState(value.condition);
+    return {
+      condition: SolunaDialWeather.findConditionKey(value.condition) ?? String(value.condition).trim(),
+      temperature: Number.isFinite(Number(value.temperature)) ? Number(value.temperature) : defaults.temperature,
+      wind: {
+        speed: Number.isFinite(Number(value.wind?.speed)) ? Number(value.wind.speed) : defaults.wind.speed,
+        direction: value.wind?.direction || defaults.wind.direction
+      },
+      precipitation: {
+        type: value.precipitation?.type || defaults.precipitation.type,
+        intensity: Number.isFinite(Number(value.precipitation?.intensity)) ? Number(value.precipitation.intensity) : defaults.precipitation.intensity
+      },
+      cloudCover: Number.isFinite(Number(value.cloudCover)) ? Number(value.cloudCover) : defaults.cloudCover,
+      visibility: Number.isFinite(Number(value.visibility)) ? Number(value.visibility) : defaults.visibility
+    };
+  }
+
+  /**
+   * Formats a temperature stored in °C in the given unit.
+   * @param {number} celsius - The temperature in °C.
+   * @param {string} [unit='C'] - 'C' or 'F'.
+   * @returns {string}
+   */
+  static formatTemperature(celsius, unit = 'C') {
+    if (unit === 'F') return `${Math.round(celsius * 9 / 5 + 32)}°F`;
+    return `${Math.round(celsius)}°C`;
+  }
+
+  /**
+   * Formats the short weather line shown on the dial, e.g. "RAINY 12°C".
+   * @param {object} state - The weather state.
+   * @param {string} [unit='C'] - Temperature unit, 'C' or 'F'.
+   * @returns {string}
+   */
+  static formatState(state, unit = 'C') {
+    if (!state) return '';
+    return `${SolunaDialWeather.getConditionLabel(state.condition).toUpperCase()} ${SolunaDialWeather.formatTemperature(state.temperature, unit)}`;
+  }
+
+  /**
+   * Describes every field of a weather state in one line, for tooltips and dialogs.
+   * @param {object} state - The weather state.
+   * @param {string} [unit='C'] - Temperature unit, 'C' or 'F'.
+   * @returns {string}
+   */
+  static describeState(state, unit = 'C') {
+    if (!state) return '';
+    const parts = [
+      SolunaDialWeather.getConditionLabel(state.condition),
+      SolunaDialWeather.formatTemperature(state.temperature, unit),
+      game.i18n.format('soluna-dial.weather.describe.wind', { speed: state.wind.speed, direction: SolunaDialWeather.getDirectionLabel(state.wind.direction) })
+    ];
+    if (state.precipitation.type !== 'none') {
+      parts.push(game.i18n.format('soluna-dial.weather.describe.precipitation', {
+        type: SolunaDialWeather.getPrecipitationLabel(state.precipitation.type),
+        intensity: Math.round(state.precipitation.intensity * 100)
+      }));
+    }
+    parts.push(
+      game.i18n.format('soluna-dial.weather.describe.cloudCover', { percent: Math.round(state.cloudCover * 100) }),
+      game.i18n.format('soluna-dial.weather.describe.visibility', { distance: state.visibility })
+    );
+    return parts.join(', ');
+  }
+
+  /**
+   * Returns the named weather regions that several scenes can share.
+   * @returns {Object<string, {name: string, climate: string, weather: object|null}>} Regions keyed by id.
+   */
+  static getRegions() {
+    const regions = game.settings.get(MODULE_ID, 'weatherRegions');
+    if (!regions || typeof regions !== 'object') return {};
+    return Object.fromEntries(Object.entries(regions).map(([id, region]) => [id, {
+      name: region?.name || id,
+      climate: region?.climate || game.settings.get(MODULE_ID, 'weatherClimate'),
+      weather: SolunaDialWeather.normalizeState(region?.weather)
+    }]));
+  }
+
+  /**
+   * Saves the weather regions to the world setting.
+   * @param {Object<string, {name: string, climate: string, weather: object|null}>} regions - Regions keyed by id.
+   */
+  static async setRegions(regions) {
+    try {
+      await game.settings.set(MODULE_ID, 'weatherRegions', regions);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error saving weather regions:`, error);
+    }
+  }
+
+  /**
+   * Returns the weather target a scene displays: its own weather if it has one, else its region's, else the world's.
+   * Targets are 'world', 'region.<id>' or 'scene.<id>'.
+   * @param {Scene|null} scene - The scene, usually the one the client is viewing.
+   * @returns {string}
+   */
+  static getSceneTarget(scene) {
+    if (!scene) return 'world';
+    if (SolunaDialWeather.normalizeState(scene.getFlag(MODULE_ID, 'weather'))) return `scene.${scene.id}`;
+    const regionId = scene.getFlag(MODULE_ID, 'weatherRegion');
+    if (regionId && SolunaDialWeather.getRegions()[regionId]) return `region.${regionId}`;
+    return 'world';
+  }
+
+  /**
+   * Returns the stored weather of a target.
+   * @param {string} target - 'world', 'region.<id>' or 'scene.<id>'.
+   * @returns {object|null} The weather state, or null if the target has none.
+   */
+  static getTargetWeather(target) {
+    const [type, id] = String(target).split('.');
+    if (type === 'region') return SolunaDialWeather.getRegions()[id]?.weather ?? null;
+    if (type === 'scene') return SolunaDialWeather.normalizeState(game.scenes.get(id)?.getFlag(MODULE_ID, 'weather'));
+    return SolunaDialWeather.normalizeState(game.settings.get(MODULE_ID, 'weatherState'));
+  }
+
+  /**
+   * Stores the weather of a target. Passing null for a scene removes its own weather,
+   * so it falls back to its region or the world weather.
+   * @param {string} target - 'world', 'region.<id>' or 'scene.<id>'.
+   * @param {object|null} weather - The weather state.
+   */
+  static async setTargetWeather(target, weather) {
+    const [type, id] = String(target).split('.');
+    try {
+      if (type === 'region') {
+        const regions = SolunaDialWeather.getRegions();
+        if (!regions[id]) return;
+        regions[id].weather = weather;
+        await SolunaDialWeather.setRegions(regions);
+      } else if (type === 'scene') {
+        const scene = game.scenes.get(id);
+        if (!scene) return;
+        if (weather) await scene.setFlag(MODULE_ID, 'weather', weather);
+        else await scene.unsetFlag(MODULE_ID, 'weather');
+      } else {
+        await game.settings.set(MODULE_ID, 'weatherState', weather);
+      }
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error saving weather for ${target}:`, error);
+    }
+  }
+
+  /**
+   * Returns a readable name for a weather target.
+   * @param {string} target - 'world', 'region.<id>' or 'scene.<id>'.
+   * @returns {string}
+   */
+  static getTargetLabel(target) {
+    const [type, id] = String(target).split('.');
+    if (type === 'region') return game.i18n.format('soluna-dial.weather.targets.region', { name: SolunaDialWeather.getRegions()[id]?.name ?? id });
+    if (type === 'scene') return game.i18n.format('soluna-dial.weather.targets.scene', { name: game.scenes.get(id)?.name ?? id });
+    return game.i18n.localize('soluna-dial.weather.targets.world');
+  }
+
+  /**
+   * Returns the stored forecast for the upcoming days.
+   * @returns {Array<{weather: object, locked: boolean}>} Index 0 is tomorrow.
+   */
+  static getForecast() {
+    const forecast = game.settings.get(MODULE_ID, 'weatherForecast');
+    if (!Array.isArray(forecast)) return [];
+    return forecast
+      .map(day => ({ weather: SolunaDialWeather.normalizeState(day?.weather), locked: !!day?.locked }))
+      .filter(day => day.weather);
+  }
+
+  /**
+   * Saves the forecast to the world setting.
+   * @param {Array<{weather: object, locked: boolean}>} forecast - The forecast, index 0 is tomorrow.
+   */
+  static async setForecast(forecast) {
+    try {
+      await game.settings.set(MODULE_ID, 'weatherForecast', forecast);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error saving weather forecast:`, error);
+    }
+  }
+
+  /**
+   * Brings a forecast to the given length, rolling any missing days on from the day before.
+   * @param {Array<{weather: object, locked: boolean}>} forecast - The current forecast, index 0 is tomorrow.
+   * @param {number} length - Number of days to forecast.
+   * @param {object} currentWeather - Today's weather state, the starting point for continuity.
+   * @param {object} [options]
+   * @param {boolean} [options.reroll=false] - Also reroll existing days that are not locked.
+   * @returns {Array<{weather: object, locked: boolean}>} A new forecast array.
+   */
+  static fillForecast(forecast, length, currentWeather, { reroll = false } = {}) {
+    const filled = [];
+    let previous = currentWeather;
+    for (let i = 0; i < length; i++) {
+      const existing = forecast[i];
+      if (existing && (existing.locked || !reroll)) {
+        filled.push({ ...existing });
+      } else {
+        filled.push({ weather: SolunaDialWeather.rollState({ previous }) ?? { ...previous }, locked: false });
+      }
+      previous = filled[i].weather;
+    }
+    return filled;
+  }
+
+  /**
+   * Opens a dialog for GMs to add, rename, re-climate and remove weather regions.
+   * Scenes are assigned to a region in their scene configuration.
+   */
+  static showRegionsEditor() {
+    if (!game.user.isGM) return;
+    const regions = SolunaDialWeather.getRegions();
+    const climates = Object.keys(SolunaDialWeather.getClimateTables());
+    // Region names and climate keys are typed in by the GM
+    const escape = Handlebars.escapeExpression;
+    const climateOptions = selected => climates.map(climate =>
+      `<option value="${escape(climate)}" ${climate === selected ? 'selected' : ''}>${escape(SolunaDialWeather.getClimateLabel(climate))}</option>`
+    ).join('');
+    const rowHTML = (id, region) => `
+        <div class="form-group" data-region-id="${id}">
+          <input type="text" class="region-name" value="${escape(region.name)}" placeholder="${game.i18n.localize('soluna-dial.weather.regions.namePlaceholder')}">
+          <select class="region-climate">${climateOptions(region.climate)}</select>
+          <label class="checkbox"><input type="checkbox" class="region-delete"> ${game.i18n.localize('soluna-dial.weather.regions.delete')}</label>
+        </div>`;
+
+    const content = `
+      <form>
+        <p class="notes">${game.i18n.localize('soluna-dial.weather.regions.notes')}</p>
+        <div class="soluna-dial-regions">
+          ${Object.entries(regions).map(([id, region]) => rowHTML(id, region)).join('')}
+        </div>
+        <button type="button" id="region-add" style="width: 100%;">
+          <i class="fas fa-plus"></i> ${game.i18n.localize('soluna-dial.weather.regions.add')}
+        </button>
+      </form>
+    `;
+
+    new Dialog({
+      title: game.i18n.localize('soluna-dial.settings.weatherRegionsMenu.name'),
+      content: content,
+      buttons: {
+        save: {
+          label: game.i18n.localize('soluna-dial.common.save'),
+          callback: async (html) => {
+            const updated = {};
+            html.find('[data-region-id]').each((index, row) => {
+              const id = row.dataset.regionId;
+              const name = $(row).find('.region-name').val().trim();
+              if ($(row).find('.region-delete').prop('checked') || !name) return;
+              const climate = $(row).find('.region-climate').val();
+              // New regions, and regions moved to another climate, start with weather rolled for that climate
+              const existing = regions[id];
+              const weather = existing && existing.climate === climate && existing.weather
+                ? existing.weather
+                : SolunaDialWeather.rollState({ climate }) ?? SolunaDialWeather.createState('clear', { climate });
+              updated[id] = { name, climate, weather };
+            });
+            await SolunaDialWeather.setRegions(updated);
+            ui.notifications.info(game.i18n.localize('soluna-dial.weather.regions.saved'));
+          }
+        },
+        cancel: {
+          label: game.i18n.localize('soluna-dial.common.cancel')
+        }
+      },
+      render: (html) => {
+        html.find('#region-add').click(() => {
+          html.find('.soluna-dial-regions').append(rowHTML(foundry.utils.randomID(), {
+            name: '',
+            climate: game.settings.get(MODULE_ID, 'weatherClimate')
+          }));
+        });
+      },
+      default: 'save'
+    }, { width: 480 }).render(true);
+  }
+
+  /**
+   * Adds the weather region selector to the Ambience tab of the scene configuration.
+   * @param {SceneConfig} app - The scene configuration sheet.
+   * @param {jQuery} html - The rendered sheet.
+   */
+  static onRenderSceneConfig(app, html) {
+    if (!game.user.isGM) return;
+    const scene = app.document ?? app.object;
+    const selectedRegion = scene?.getFlag(MODULE_ID, 'weatherRegion') ?? '';
+    const regionOptions = Object.entries(SolunaDialWeather.getRegions()).map(([id, region]) =>
+      `<option value="${id}" ${id === selectedRegion ? 'selected' : ''}>${Handlebars.escapeExpression(region.name)}</option>`
+    ).join('');
+    const formGroup = $(`
+      <div class="form-group">
+        <label>${game.i18n.localize('soluna-dial.weather.sceneConfig.region')}</label>
+        <div class="form-fields">
+          <select name="flags.${MODULE_ID}.weatherRegion">
+            <option value="" ${selectedRegion ? '' : 'selected'}>${game.i18n.localize('soluna-dial.weather.sceneConfig.none')}</option>
+            ${regionOptions}
+          </select>
+        </div>
+        <p class="notes">${game.i18n.localize('soluna-dial.weather.sceneConfig.notes')}</p>
+      </div>
+    `);
+    const ambienceTab = html.find('.tab[data-tab="ambience"]');
+    (ambienceTab.length ? ambienceTab : html.find('form').first()).append(formGroup);
+    app.setPosition({ height: 'auto' });
+  }
+
+  /**
+   * Opens a dialog for GMs to edit the climate tables as JSON.
+   */
+  static showClimateTablesEditor() {
+    SolunaDialJsonEditor.show({
+      title: game.i18n.localize('soluna-dial.settings.weatherClimateTablesMenu.name'),
+      label: game.i18n.localize('soluna-dial.weather.climateTables.label'),
+      notes: game.i18n.format('soluna-dial.weather.climateTables.notes', { conditions: Object.keys(SolunaDialWeather.CONDITIONS).join(', ') }),
+      settingKey: 'weatherClimateTables',
+      value: SolunaDialWeather.getClimateTables()
+    });
+  }
+}
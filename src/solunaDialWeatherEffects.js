@@ -0,0 +1,340 @@
+import { SolunaDialWeather } from './solunaDialWeather.js';
+
+/**
+ * Weather drawn inside the dial: a tint, drifting clouds and fog, rain, snow or hail particles and
+ * lightning flashes for storms, all scaled by the current weather state.
+ * The dial owns one instance, adds its container inside the dial mask, and keeps drawing frames
+ * and calling update while isAnimated is true and the dial is on screen. Coordinates are relative
+ * to the dial center, the visible half-disc being below it.
+ */
+export class SolunaDialWeatherEffects {
+  /**
+   * Most particles at full precipitation intensity, per effects level.
+   * @type {Object<string, number>}
+   */
+  static MAX_PARTICLES = { full: 220, performance: 70 };
+
+  /**
+   * Most clouds at full cloud cover, per effects level.
+   * @type {Object<string, number>}
+   */
+  static MAX_CLOUDS = { full: 7, performance: 3 };
+
+  /**
+   * Tints of conditions felt more than seen, as [CSS color, alpha].
+   * @type {Object<string, Array>}
+   */
+  static CONDITION_TINTS = {
+    hot: ['#FF8A00', 0.12],
+    heatwave: ['#FF5A00', 0.22],
+    cold: ['#A8D8FF', 0.12],
+    humid: ['#C8E6C9', 0.1],
+    dry: ['#E8C07A', 0.1]
+  };
+
+  /**
+   * Fall speed of each precipitation type, in dial radii per second.
+   * @type {Object<string, number>}
+   */
+  static FALL_SPEEDS = { rain: 2.4, snow: 0.35, hail: 3 };
+
+  /**
+   * @param {PIXI.Renderer} renderer - The dial's renderer, used to draw the particle textures.
+   * @param {number} radius - The dial radius in pixels.
+   * @param {number} scale - The UI scale, for particle sizes.
+   */
+  constructor(renderer, radius, scale) {
+    this.radius = radius;
+    this.scale = scale;
+    this.level = 'full';
+    this.reducedMotion = false;
+    this.container = new PIXI.Container();
+    this._weather = null;
+    this._signature = null;
+    this._layers = null;
+    this._time = 0;
+    this._textures = {
+      rain: SolunaDialWeatherEffects._drawTexture(renderer, graphics => graphics.drawRect(0, 0, 1, 10)),
+      snow: SolunaDialWeatherEffects._drawTexture(renderer, graphics => graphics.drawCircle(2, 2, 2)),
+      hail: SolunaDialWeatherEffects._drawTexture(renderer, graphics => graphics.drawCircle(1.5, 1.5, 1.5))
+    };
+  }
+
+  /**
+   * Draws a white particle texture.
+   * @param {PIXI.Renderer} renderer - The renderer.
+   * @param {function(PIXI.Graphics)} draw - Draws the particle shape.
+   * @returns {PIXI.Texture}
+   * @private
+   */
+  static _drawTexture(renderer, draw) {
+    const graphics = new PIXI.Graphics();
+    graphics.beginFill(0xFFFFFF);
+    draw(graphics);
+    graphics.endFill();
+    const texture = renderer.generateTexture(graphics);
+    graphics.destroy();
+    return texture;
+  }
+
+  /**
+   * Whether the effects move, and so need update calls every frame.
+   * @type {boolean}
+   */
+  get isAnimated() {
+    if (this.level === 'off' || this.reducedMotion || !this._layers) return false;
+    const { particles, clouds, fog, lightning } = this._layers;
+    return !!(particles || clouds.children.length || fog.children.length || lightning);
+  }
+
+  /**
+   * Sets this client's effects level and motion preference.
+   * @param {object} options
+   * @param {string} [options.level] - 'full', 'performance' (fewer particles, no blur) or 'off'.
+   * @param {boolean} [options.reducedMotion] - Draw the weather still, without movement or flashes.
+   */
+  setOptions({ level = this.level, reducedMotion = this.reducedMotion } = {}) {
+    this.level = SolunaDialWeatherEffects.MAX_PARTICLES[level] !== undefined ? level : 'off';
+    this.reducedMotion = !!reducedMotion;
+    this._signature = null;
+    this._rebuild();
+  }
+
+  /**
+   * Shows a weather state. Layers are only rebuilt when the state changes what is drawn.
+   * @param {object} weather - A weather state, see SolunaDialWeather.createState.
+   */
+  setWeather(weather) {
+    this._weather = weather;
+    this._rebuild();
+  }
+
+  /**
+   * Works out what to draw for the current weather.
+   * @returns {object}
+   * @private
+   */
+  _getParameters() {
+    const weather = this._weather;
+    const type = weather?.precipitation?.type;
+    const intensity = Math.min(1, Math.max(0, Number(weather?.precipitation?.intensity) || 0));
+    const cloudCover = Math.min(1, Math.max(0, Number(weather?.cloudCover) || 0));
+    const visibility = Math.max(0, Number(weather?.visibility) || 0);
+    // Wind blows away from the direction it comes from; north and south winds do not slant the dial
+    const direction = SolunaDialWeather.WIND_DIRECTIONS.indexOf(weather?.wind?.direction);
+    const fromEast = direction >= 1 && direction <= 3;
+    const fromWest = direction >= 5 && direction <= 7;
+    const windSpeed = Math.max(0, Number(weather?.wind?.speed) || 0);
+    return {
+      precipitation: SolunaDialWeatherEffects.FALL_SPEEDS[type] !== undefined && intensity > 0 ? type : null,
+      intensity: Math.round(intensity * 20) / 20,
+      cloudCover: Math.round(cloudCover * 10) / 10,
+      // Fog thickens as visibility drops below 5 km
+      fog: Math.round(Math.min(0.8, Math.max(0, 1 - visibility / 5)) * 10) / 10,
+      wind: (fromWest ? 1 : fromEast ? -1 : 0) * Math.round(Math.min(1, windSpeed / 100) * 10) / 10,
+      lightning: weather?.condition === 'stormy',
+      condition: weather?.condition ?? null
+    };
+  }
+
+  /**
+   * Rebuilds the layers for the current weather and options, if they changed.
+   * @private
+   */
+  _rebuild() {
+    const parameters = this._getParameters();
+    const signature = JSON.stringify({ ...parameters, level: this.level, reducedMotion: this.reducedMotion });
+    if (signature === this._signature) return;
+    this._signature = signature;
+    this._parameters = parameters;
+
+    this.container.removeChildren().forEach(child => child.destroy({ children: true }));
+    this._layers = null;
+    if (this.level === 'off') return;
+
+    const full = this.level === 'full';
+    const tint = this._drawTint(parameters);
+    const fog = this._drawFog(parameters, full);
+    const clouds = this._drawClouds(parameters, full);
+    const particles = this._createParticles(parameters);
+    const lightning = parameters.lightning && !this.reducedMotion ? this._drawLightning() : null;
+    this.container.addChild(tint, fog, clouds);
+    if (particles) this.container.addChild(particles.container);
+    if (lightning) this.container.addChild(lightning.graphics);
+    this._layers = { tint, fog, clouds, particles, lightning };
+  }
+
+  /**
+   * Draws the tint over the whole dial: grey for clouds and precipitation, or the condition's own tint.
+   * @param {object} parameters - From _getParameters.
+   * @returns {PIXI.Graphics}
+   * @private
+   */
+  _drawTint(parameters) {
+    const graphics = new PIXI.Graphics();
+    const [color, alpha] = SolunaDialWeatherEffects.CONDITION_TINTS[parameters.condition]
+      ?? ['#303844', parameters.cloudCover * 0.25 + (parameters.precipitation ? parameters.intensity * 0.15 : 0)];
+    if (alpha > 0) {
+      graphics.beginFill(PIXI.utils.string2hex(color), alpha);
+      graphics.drawCircle(0, 0, this.radius);
+      graphics.endFill();
+    }
+    return graphics;
+  }
+
+  /**
+   * Draws fog as wide pale bands low in the dial.
+   * @param {object} parameters - From _getParameters.
+   * @param {boolean} blur - Whether to soften the bands with a blur filter.
+   * @returns {PIXI.Container}
+   * @private
+   */
+  _drawFog(parameters, blur) {
+    const container = new PIXI.Container();
+    if (parameters.fog <= 0) return container;
+    for (let band = 0; band < 3; band++) {
+      const graphics = new PIXI.Graphics();
+      graphics.beginFill(0xDDE3EA, parameters.fog * 0.45);
+      graphics.drawEllipse(0, 0, this.radius * 1.2, this.radius * 0.22);
+      graphics.endFill();
+      graphics.position.set((band - 1) * this.radius * 0.8, this.radius * (0.35 + band * 0.22));
+      graphics.speed = (band % 2 ? -1 : 1) * 0.03 + parameters.wind * 0.05;
+      container.addChild(graphics);
+    }
+    if (blur) container.filters = [new PIXI.BlurFilter(8 * this.scale)];
+    return container;
+  }
+
+  /**
+   * Draws clouds as clusters of circles, more of them and darker as cloud cover grows.
+   * @param {object} parameters - From _getParameters.
+   * @param {boolean} blur - Whether to soften the clouds with a blur filter.
+   * @returns {PIXI.Container}
+   * @private
+   */
+  _drawClouds(parameters, blur) {
+    const container = new PIXI.Container();
+    const count = Math.round(parameters.cloudCover * SolunaDialWeatherEffects.MAX_CLOUDS[this.level]);
+    const shade = PIXI.utils.string2hex(parameters.lightning ? '#5A5F6E' : parameters.cloudCover > 0.7 ? '#9AA2AE' : '#E6EAF0');
+    for (let index = 0; index < count; index++) {
+      const graphics = new PIXI.Graphics();
+      const size = this.radius * (0.14 + Math.random() * 0.1);
+      graphics.beginFill(shade, 0.55 + parameters.cloudCover * 0.35);
+      graphics.drawCircle(0, 0, size);
+      graphics.drawCircle(size * 0.9, size * 0.2, size * 0.75);
+      graphics.drawCircle(-size * 0.9, size * 0.25, size * 0.7);
+      graphics.endFill();
+      // Spread evenly across the dial, at varying heights
+      graphics.position.set(-this.radius + (index + Math.random()) * (this.radius * 2) / count, this.radius * (0.25 + Math.random() * 0.55));
+      graphics.speed = 0.02 + Math.abs(parameters.wind) * 0.12;
+      if (parameters.wind < 0) graphics.speed = -graphics.speed;
+      container.addChild(graphics);
+    }
+    if (blur) container.filters = [new PIXI.BlurFilter(3 * this.scale)];
+    return container;
+  }
+
+  /**
+   * Creates the precipitation particles, scattered over the dial.
+   * @param {object} parameters - From _getParameters.
+   * @returns {{container: PIXI.ParticleContainer, velocity: {x: number, y: number}}|null} Velocity in pixels per second.
+   * @private
+   */
+  _createParticles(parameters) {
+    const type = parameters.precipitation;
+    if (!type) return null;
+    const count = Math.max(1, Math.round(parameters.intensity * SolunaDialWeatherEffects.MAX_PARTICLES[this.level]));
+    const fall = SolunaDialWeatherEffects.FALL_SPEEDS[type] * this.radius;
+    const velocity = { x: parameters.wind * fall * (type === 'snow' ? 1.5 : 0.6), y: fall };
+    const container = new PIXI.ParticleContainer(count, { position: true, rotation: false, vertices: false, tint: false });
+    for (let index = 0; index < count; index++) {
+      const particle = new PIXI.Sprite(this._textures[type]);
+      particle.anchor.set(0.5);
+      particle.scale.set(this.scale * (0.7 + Math.random() * 0.5));
+      particle.alpha = type === 'rain' ? 0.45 : 0.85;
+      particle.tint = type === 'rain' ? 0xBFD4FF : 0xFFFFFF;
+      // Rain streaks lean with the wind
+      if (type === 'rain') particle.rotation = -Math.atan2(velocity.x, velocity.y);
+      particle.position.set((Math.random() * 2 - 1) * this.radius, Math.random() * this.radius);
+      particle.sway = Math.random() * Math.PI * 2;
+      particle.baseX = particle.x;
+      container.addChild(particle);
+    }
+    return { container, velocity, type };
+  }
+
+  /**
+   * Creates the lightning flash, hidden until the next strike.
+   * @returns {{graphics: PIXI.Graphics, nextStrike: number}} nextStrike in seconds of effect time.
+   * @private
+   */
+  _drawLightning() {
+    const graphics = new PIXI.Graphics();
+    graphics.beginFill(0xFFFFFF);
+    graphics.drawCircle(0, 0, this.radius);
+    graphics.endFill();
+    graphics.alpha = 0;
+    return { graphics, nextStrike: this._time + this._strikeDelay() };
+  }
+
+  /**
+   * Seconds until the next lightning strike: more often as the storm grows.
+   * @returns {number}
+   * @private
+   */
+  _strikeDelay() {
+    return (3 + Math.random() * 7) / Math.max(0.3, this._parameters.intensity);
+  }
+
+  /**
+   * Moves the effects on.
+   * @param {number} deltaMS - Milliseconds since the last frame.
+   */
+  update(deltaMS) {
+    if (!this.isAnimated) return;
+    // Long gaps (a hidden tab) would teleport every particle; move on at most a tenth of a second
+    const dt = Math.min(deltaMS, 100) / 1000;
+    this._time += dt;
+    const { fog, clouds, particles, lightning } = this._layers;
+    const wrap = (value, margin) => (value > this.radius + margin ? -this.radius - margin : value < -this.radius - margin ? this.radius + margin : value);
+
+    for (const layer of [fog, clouds]) {
+      for (const child of layer.children) {
+        child.x = wrap(child.x + child.speed * this.radius * dt, child.width / 2);
+      }
+    }
+
+    if (particles) {
+      const { velocity, type } = particles;
+      for (const particle of particles.container.children) {
+        particle.y += velocity.y * dt;
+        particle.baseX += velocity.x * dt;
+        // Snowflakes sway as they fall
+        particle.x = type === 'snow' ? particle.baseX + Math.sin(this._time * 2 + particle.sway) * 3 * this.scale : particle.baseX;
+        if (particle.y > this.radius || Math.abs(particle.baseX) > this.radius * 1.2) {
+          // Start again just above the dial, upwind so slanted particles cross the whole dial
+          particle.y = -Math.random() * this.radius * 0.2;
+          particle.baseX = (Math.random() * 2 - 1) * this.radius - velocity.x / velocity.y * this.radius * 0.5;
+        }
+      }
+    }
+
+    if (lightning) {
+      if (this._time >= lightning.nextStrike) {
+        lightning.graphics.alpha = 0.6 + Math.random() * 0.3;
+        lightning.nextStrike = this._time + this._strikeDelay();
+      } else {
+        lightning.graphics.alpha = Math.max(0, lightning.graphics.alpha - dt * 3);
+      }
+    }
+  }
+
+  /**
+   * Destroys the layers and the particle textures.
+   */
+  destroy() {
+    this.container.destroy({ children: true });
+    Object.values(this._textures).forEach(texture => texture.destroy(true));
+    this._layers = null;
+  }
+}